@@ -0,0 +1,23 @@
+"use strict";
+
+// Error types shared by pipeline.js and its helper modules.
+
+class PipelineError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// Missing arguments, unknown options or invalid option values.
+class UsageError extends PipelineError {}
+
+// Input files, transcripts, configs or models that are missing or malformed.
+class InputError extends PipelineError {}
+
+// An external tool (ffmpeg, whisper.cpp) failed.
+// Carries `command`, `args` and, once it ran, its exit `status`.
+class CommandError extends PipelineError {}
+
+module.exports = { PipelineError, UsageError, InputError, CommandError };
@@ -0,0 +1,438 @@
+"use strict";
+
+// Minimal SQLite file format writer and reader, enough for Anki collections. The writer lays out
+// every table and index b-tree of a fresh database in one pass, so there is no journal or
+// freelist to maintain; the schema must fit on the first page. The reader walks table b-trees of
+// any rollback-journal database, such as a collection.anki2 exported by Anki.
+
+const { PipelineError, InputError } = require("./errors");
+
+const SQLITE_PAGE_SIZE = 4096;
+const SQLITE_INT_TYPES = { 1: 1, 2: 2, 3: 3, 4: 4, 6: 5, 8: 6 };
+const SQLITE_INT_SIZES = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8 };
+
+function tableColumns(sql) {
+  const body = sql.slice(sql.indexOf("(") + 1, sql.lastIndexOf(")"));
+  return body.split(",").map((def) => {
+    const [name, ...rest] = def.trim().split(/\s+/);
+    const type = rest.join(" ").toLowerCase();
+    let affinity = "blob";
+    if (type.includes("int")) affinity = "integer";
+    else if (/char|clob|text/.test(type)) affinity = "text";
+    return { name, affinity, rowid: type.startsWith("integer primary key") };
+  });
+}
+
+function withAffinity(value, affinity) {
+  if (affinity === "text" && typeof value === "number") return String(value);
+  if (affinity === "integer" && typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)) {
+    const number = Number(value);
+    if (Number.isSafeInteger(number) || !Number.isInteger(number)) return number;
+  }
+  return value;
+}
+
+function sqliteVarint(value) {
+  // Negative values take all nine bytes of the 64-bit two's complement: 8 x 7 bits, then 8 bits.
+  if (value < 0) {
+    let rest = BigInt.asUintN(64, BigInt(value));
+    const bytes = [Number(rest & 0xffn)];
+    rest >>= 8n;
+    for (let i = 0; i < 8; i++) {
+      bytes.unshift(Number(rest & 0x7fn) | 0x80);
+      rest >>= 7n;
+    }
+    return Buffer.from(bytes);
+  }
+  const bytes = [value % 128];
+  let rest = Math.floor(value / 128);
+  while (rest > 0) {
+    bytes.unshift((rest % 128) | 0x80);
+    rest = Math.floor(rest / 128);
+  }
+  return Buffer.from(bytes);
+}
+
+function readVarint(buf, offset) {
+  let value = 0;
+  for (let i = 0; i < 7; i++) {
+    const byte = buf[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return [value, i + 1];
+  }
+  // Past 49 bits a double loses precision, and nine-byte values may be negative.
+  let big = BigInt(value) * 128n + BigInt(buf[offset + 7] & 0x7f);
+  if (buf[offset + 7] < 0x80) return [Number(big), 8];
+  big = big * 256n + BigInt(buf[offset + 8]);
+  return [Number(BigInt.asIntN(64, big)), 9];
+}
+
+function intSize(value) {
+  const abs = value < 0 ? -value - 1 : value;
+  if (abs < 0x80) return 1;
+  if (abs < 0x8000) return 2;
+  if (abs < 0x800000) return 3;
+  if (abs < 0x80000000) return 4;
+  if (abs < 0x800000000000) return 6;
+  return 8;
+}
+
+function encodeRecord(values) {
+  const types = [];
+  const bodies = [];
+  for (const value of values) {
+    if (value == null) {
+      types.push(0);
+    } else if (typeof value === "number" && Number.isInteger(value)) {
+      if (value === 0 || value === 1) {
+        types.push(8 + value);
+        continue;
+      }
+      const size = intSize(value);
+      const body = Buffer.alloc(size);
+      if (size === 8) body.writeBigInt64BE(BigInt(value));
+      else body.writeIntBE(value, 0, size);
+      types.push(SQLITE_INT_TYPES[size]);
+      bodies.push(body);
+    } else if (typeof value === "number") {
+      const body = Buffer.alloc(8);
+      body.writeDoubleBE(value);
+      types.push(7);
+      bodies.push(body);
+    } else {
+      const body = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "utf8");
+      types.push(body.length * 2 + (Buffer.isBuffer(value) ? 12 : 13));
+      bodies.push(body);
+    }
+  }
+  const typeBytes = Buffer.concat(types.map(sqliteVarint));
+  let headerSize = typeBytes.length + 1;
+  while (sqliteVarint(headerSize).length + typeBytes.length !== headerSize) headerSize += 1;
+  return Buffer.concat([sqliteVarint(headerSize), typeBytes, ...bodies]);
+}
+
+function decodeRecord(payload) {
+  const [headerSize, first] = readVarint(payload, 0);
+  const values = [];
+  let pos = first;
+  let body = headerSize;
+  while (pos < headerSize) {
+    const [type, n] = readVarint(payload, pos);
+    pos += n;
+    if (type === 0) {
+      values.push(null);
+    } else if (type <= 6) {
+      const size = SQLITE_INT_SIZES[type];
+      values.push(
+        size === 8 ? Number(payload.readBigInt64BE(body)) : payload.readIntBE(body, size)
+      );
+      body += size;
+    } else if (type === 7) {
+      values.push(payload.readDoubleBE(body));
+      body += 8;
+    } else if (type === 8 || type === 9) {
+      values.push(type - 8);
+    } else {
+      const size = Math.floor((type - 12) / 2);
+      const bytes = payload.subarray(body, body + size);
+      values.push(type % 2 === 1 ? bytes.toString("utf8") : Buffer.from(bytes));
+      body += size;
+    }
+  }
+  return values;
+}
+
+function compareValues(a, b) {
+  const rank = (v) => (v == null ? 0 : typeof v === "number" ? 1 : typeof v === "string" ? 2 : 3);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 0) return 0;
+  if (rank(a) === 1) return a - b;
+  return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
+// How much of a cell payload stays on the b-tree page; the rest goes to overflow pages.
+function localPayloadSize(size, usable, tableLeaf) {
+  const maxLocal = tableLeaf ? usable - 35 : Math.floor(((usable - 12) * 64) / 255) - 23;
+  if (size <= maxLocal) return size;
+  const minLocal = Math.floor(((usable - 12) * 32) / 255) - 23;
+  const local = minLocal + ((size - minLocal) % (usable - 4));
+  return local <= maxLocal ? local : minLocal;
+}
+
+function allocatePage(pages) {
+  pages.push(null);
+  return pages.length;
+}
+
+function payloadCell(pages, prefix, payload, tableLeaf) {
+  const local = localPayloadSize(payload.length, SQLITE_PAGE_SIZE, tableLeaf);
+  if (local === payload.length) return Buffer.concat([prefix, payload]);
+  const firstOverflow = pages.length + 1;
+  for (let offset = local; offset < payload.length; offset += SQLITE_PAGE_SIZE - 4) {
+    const page = Buffer.alloc(SQLITE_PAGE_SIZE);
+    const end = Math.min(payload.length, offset + SQLITE_PAGE_SIZE - 4);
+    const pageNo = allocatePage(pages);
+    if (end < payload.length) page.writeUInt32BE(pageNo + 1, 0);
+    payload.copy(page, 4, offset, end);
+    pages[pageNo - 1] = page;
+  }
+  const pointer = Buffer.alloc(4);
+  pointer.writeUInt32BE(firstOverflow);
+  return Buffer.concat([prefix, payload.subarray(0, local), pointer]);
+}
+
+function btreePage(type, cells, rightChild, headerOffset = 0) {
+  const page = Buffer.alloc(SQLITE_PAGE_SIZE);
+  const headerSize = rightChild != null ? 12 : 8;
+  let content = SQLITE_PAGE_SIZE;
+  page[headerOffset] = type;
+  page.writeUInt16BE(cells.length, headerOffset + 3);
+  cells.forEach((cell, i) => {
+    content -= cell.length;
+    cell.copy(page, content);
+    page.writeUInt16BE(content, headerOffset + headerSize + i * 2);
+  });
+  page.writeUInt16BE(content, headerOffset + 5);
+  if (rightChild != null) page.writeUInt32BE(rightChild, headerOffset + 8);
+  return page;
+}
+
+// Greedily fills leaf pages, then builds interior levels until one root page is left.
+function writeTableTree(pages, rows) {
+  const capacity = SQLITE_PAGE_SIZE - 8;
+  let level = [];
+  let cells = [];
+  let used = 0;
+  const flushLeaf = () => {
+    const pageNo = allocatePage(pages);
+    pages[pageNo - 1] = btreePage(0x0d, cells.map((c) => c.cell));
+    level.push({ pageNo, maxKey: cells.length > 0 ? cells[cells.length - 1].rowid : 0 });
+    cells = [];
+    used = 0;
+  };
+  for (const row of rows) {
+    const prefix = Buffer.concat([sqliteVarint(row.payload.length), sqliteVarint(row.rowid)]);
+    const cell = payloadCell(pages, prefix, row.payload, true);
+    if (cells.length > 0 && used + cell.length + 2 > capacity) flushLeaf();
+    cells.push({ rowid: row.rowid, cell });
+    used += cell.length + 2;
+  }
+  if (cells.length > 0 || level.length === 0) flushLeaf();
+
+  // Interior cells are at most 4 + 9 bytes, plus a 2-byte pointer each.
+  const perPage = Math.floor((SQLITE_PAGE_SIZE - 12) / 15) + 1;
+  while (level.length > 1) {
+    const pageCount = Math.ceil(level.length / perPage);
+    const next = [];
+    for (let p = 0; p < pageCount; p++) {
+      const group = level.slice(
+        Math.floor((p * level.length) / pageCount),
+        Math.floor(((p + 1) * level.length) / pageCount)
+      );
+      const right = group.pop();
+      const interior = group.map((child) => {
+        const pointer = Buffer.alloc(4);
+        pointer.writeUInt32BE(child.pageNo);
+        return Buffer.concat([pointer, sqliteVarint(child.maxKey)]);
+      });
+      const pageNo = allocatePage(pages);
+      pages[pageNo - 1] = btreePage(0x05, interior, right.pageNo);
+      next.push({ pageNo, maxKey: right.maxKey });
+    }
+    level = next;
+  }
+  return level[0].pageNo;
+}
+
+// Index b-trees keep each key once: the key between two sibling pages moves up to the parent.
+function writeIndexTree(pages, keys) {
+  let items = keys.map((payload) => ({
+    child: null,
+    body: payloadCell(pages, sqliteVarint(payload.length), payload, false),
+  }));
+  let finalChild = null;
+  for (;;) {
+    const interior = finalChild != null;
+    const capacity = SQLITE_PAGE_SIZE - (interior ? 12 : 8);
+    const size = (item) => item.body.length + (interior ? 4 : 0) + 2;
+    const groups = [];
+    let start = 0;
+    while (start < items.length || groups.length === 0) {
+      let end = start;
+      let used = 0;
+      while (end < items.length && used + size(items[end]) <= capacity) used += size(items[end++]);
+      if (end === items.length) {
+        groups.push({ content: items.slice(start), separator: null });
+        break;
+      }
+      if (end + 1 === items.length) end -= 1;
+      groups.push({ content: items.slice(start, end), separator: items[end] });
+      start = end + 1;
+    }
+    const cellOf = (item) => {
+      if (!interior) return item.body;
+      const pointer = Buffer.alloc(4);
+      pointer.writeUInt32BE(item.child);
+      return Buffer.concat([pointer, item.body]);
+    };
+    for (const group of groups) {
+      const right = group.separator ? group.separator.child : finalChild;
+      group.pageNo = allocatePage(pages);
+      pages[group.pageNo - 1] = btreePage(
+        interior ? 0x02 : 0x0a,
+        group.content.map(cellOf),
+        interior ? right : null
+      );
+    }
+    if (groups.length === 1) return groups[0].pageNo;
+    finalChild = groups[groups.length - 1].pageNo;
+    items = groups
+      .slice(0, -1)
+      .map((group) => ({ child: group.pageNo, body: group.separator.body }));
+  }
+}
+
+function sqliteHeader(page, pageCount) {
+  page.write("SQLite format 3\0", 0, "latin1");
+  page.writeUInt16BE(SQLITE_PAGE_SIZE, 16);
+  page[18] = 1;
+  page[19] = 1;
+  page[21] = 64;
+  page[22] = 32;
+  page[23] = 32;
+  page.writeUInt32BE(1, 24);
+  page.writeUInt32BE(pageCount, 28);
+  page.writeUInt32BE(1, 40);
+  page.writeUInt32BE(4, 44);
+  page.writeUInt32BE(1, 56);
+  page.writeUInt32BE(1, 92);
+  page.writeUInt32BE(3045000, 96);
+}
+
+// Builds a database file from a schema list (as in sqlite_master) and rows per table.
+function writeSqliteDb(schema, rowsByTable) {
+  const pages = [null];
+  const tables = new Map();
+  const master = [];
+  for (const entry of schema) {
+    if (entry.type === "table") {
+      const columns = tableColumns(entry.sql);
+      const rowidColumn = columns.findIndex((c) => c.rowid);
+      const rows = (rowsByTable[entry.name] || []).map((values, i) => {
+        const row = columns.map((col, c) => withAffinity(values[c], col.affinity));
+        const rowid = rowidColumn >= 0 ? row[rowidColumn] : i + 1;
+        if (rowidColumn >= 0) row[rowidColumn] = null;
+        return { rowid, row };
+      });
+      rows.sort((a, b) => a.rowid - b.rowid);
+      rows.forEach((r, i) => {
+        if (i > 0 && rows[i - 1].rowid === r.rowid) {
+          throw new PipelineError(`Duplicate id ${r.rowid} in the ${entry.name} table`);
+        }
+        r.payload = encodeRecord(r.row);
+      });
+      tables.set(entry.name, { columns, rows });
+      const rootPage = writeTableTree(pages, rows);
+      master.push(["table", entry.name, entry.name, rootPage, entry.sql]);
+    } else {
+      const { columns, rows } = tables.get(entry.table);
+      const indices = entry.columns.map((name) => columns.findIndex((c) => c.name === name));
+      const keys = rows
+        .map((r) => indices.map((i) => (columns[i].rowid ? r.rowid : r.row[i])).concat(r.rowid))
+        .sort((a, b) => {
+          for (let i = 0; i < a.length; i++) {
+            const diff = compareValues(a[i], b[i]);
+            if (diff !== 0) return diff;
+          }
+          return 0;
+        });
+      const rootPage = writeIndexTree(pages, keys.map(encodeRecord));
+      const sql = `CREATE INDEX ${entry.name} on ${entry.table} (${entry.columns.join(", ")})`;
+      master.push(["index", entry.name, entry.table, rootPage, sql]);
+    }
+  }
+
+  const masterCells = master.map((values, i) => {
+    const payload = encodeRecord(values);
+    const prefix = Buffer.concat([sqliteVarint(payload.length), sqliteVarint(i + 1)]);
+    return payloadCell(pages, prefix, payload, true);
+  });
+  const masterSize = masterCells.reduce((sum, cell) => sum + cell.length + 2, 108);
+  if (masterSize > SQLITE_PAGE_SIZE) throw new PipelineError("Schema does not fit on one page");
+  pages[0] = btreePage(0x0d, masterCells, null, 100);
+  sqliteHeader(pages[0], pages.length);
+  return Buffer.concat(pages);
+}
+
+function openSqlite(buf, source) {
+  if (buf.length < 100 || buf.toString("latin1", 0, 16) !== "SQLite format 3\0") {
+    throw new InputError(`${source} is not an SQLite database`);
+  }
+  const rawPageSize = buf.readUInt16BE(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  if (buf.readUInt32BE(56) > 1) {
+    throw new InputError(`${source} is not UTF-8 encoded`);
+  }
+  return { buf, source, pageSize, usable: pageSize - buf[20] };
+}
+
+function readCellPayload(db, offset, size) {
+  const local = localPayloadSize(size, db.usable, true);
+  if (local === size) return db.buf.subarray(offset, offset + size);
+  const parts = [db.buf.subarray(offset, offset + local)];
+  let remaining = size - local;
+  let next = db.buf.readUInt32BE(offset + local);
+  while (remaining > 0 && next > 0) {
+    const start = (next - 1) * db.pageSize;
+    const take = Math.min(remaining, db.usable - 4);
+    parts.push(db.buf.subarray(start + 4, start + 4 + take));
+    remaining -= take;
+    next = db.buf.readUInt32BE(start);
+  }
+  if (remaining > 0) throw new InputError(`${db.source}: broken overflow chain`);
+  return Buffer.concat(parts);
+}
+
+function walkTable(db, pageNo, visit) {
+  const base = (pageNo - 1) * db.pageSize;
+  const header = pageNo === 1 ? base + 100 : base;
+  const type = db.buf[header];
+  if (type !== 0x05 && type !== 0x0d) {
+    throw new InputError(`${db.source}: page ${pageNo} is not a table page`);
+  }
+  const interior = type === 0x05;
+  const count = db.buf.readUInt16BE(header + 3);
+  const pointers = header + (interior ? 12 : 8);
+  for (let i = 0; i < count; i++) {
+    const cell = base + db.buf.readUInt16BE(pointers + i * 2);
+    if (interior) {
+      walkTable(db, db.buf.readUInt32BE(cell), visit);
+      continue;
+    }
+    const [size, n1] = readVarint(db.buf, cell);
+    const [rowid, n2] = readVarint(db.buf, cell + n1);
+    visit(rowid, decodeRecord(readCellPayload(db, cell + n1 + n2, size)));
+  }
+  if (interior) walkTable(db, db.buf.readUInt32BE(header + 8), visit);
+}
+
+// Reads a table as a list of objects keyed by column name.
+function sqliteRows(db, table) {
+  let entry = null;
+  walkTable(db, 1, (rowid, values) => {
+    if (values[0] === "table" && values[1] === table) entry = values;
+  });
+  if (!entry) throw new InputError(`${db.source} has no ${table} table`);
+  const columns = tableColumns(entry[4]);
+  const rows = [];
+  walkTable(db, entry[3], (rowid, values) => {
+    const row = {};
+    columns.forEach((col, i) => {
+      row[col.name] = col.rowid ? rowid : (values[i] ?? null);
+    });
+    rows.push(row);
+  });
+  return rows;
+}
+
+module.exports = { writeSqliteDb, openSqlite, sqliteRows };
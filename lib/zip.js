@@ -0,0 +1,178 @@
+"use strict";
+
+// Zip writer and reader for .apkg archives. There is no zip64 support: the writer refuses to go
+// past 4 GiB or 65535 entries, and the reader rejects zip64 archives.
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+const { PipelineError, InputError } = require("./errors");
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Zip writer that appends entries to the file as it goes. Buffers are deflated; files are
+// copied in chunks and stored, since clips and screenshots are already compressed.
+function createZipWriter(outputPath) {
+  const fd = fs.openSync(outputPath, "w");
+  const entries = [];
+  let offset = 0;
+  const write = (buf) => {
+    fs.writeSync(fd, buf, 0, buf.length, offset);
+    offset += buf.length;
+  };
+  const localHeader = (entry) => {
+    const name = Buffer.from(entry.name, "utf8");
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(0x21, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(name.length, 26);
+    return Buffer.concat([header, name]);
+  };
+  const checkLimits = () => {
+    if (offset > 0xffffffff || entries.length >= 0xffff) {
+      throw new PipelineError(`${outputPath} is too large for a zip archive without zip64`);
+    }
+  };
+
+  return {
+    addBuffer(name, data) {
+      const compressed = zlib.deflateRawSync(data);
+      const entry = {
+        name,
+        method: 8,
+        crc: crc32(data),
+        size: data.length,
+        compressedSize: compressed.length,
+        offset,
+      };
+      write(localHeader(entry));
+      write(compressed);
+      entries.push(entry);
+      checkLimits();
+    },
+    addFile(name, filePath) {
+      const entry = { name, method: 0, crc: 0, size: 0, compressedSize: 0, offset };
+      const header = localHeader(entry);
+      write(header);
+      const input = fs.openSync(filePath, "r");
+      const chunk = Buffer.alloc(1 << 20);
+      try {
+        let bytes;
+        while ((bytes = fs.readSync(input, chunk, 0, chunk.length, null)) > 0) {
+          const data = chunk.subarray(0, bytes);
+          entry.crc = crc32(data, entry.crc);
+          entry.size += bytes;
+          write(data);
+        }
+      } finally {
+        fs.closeSync(input);
+      }
+      entry.compressedSize = entry.size;
+      const patched = localHeader(entry);
+      fs.writeSync(fd, patched, 0, patched.length, entry.offset);
+      entries.push(entry);
+      checkLimits();
+    },
+    close() {
+      const start = offset;
+      for (const entry of entries) {
+        const name = Buffer.from(entry.name, "utf8");
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(0x21, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        write(Buffer.concat([header, name]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      write(end);
+      checkLimits();
+      fs.closeSync(fd);
+    },
+    abort() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+function readZipEntries(fd, source) {
+  const size = fs.fstatSync(fd).size;
+  const tailSize = Math.min(size, 22 + 0xffff);
+  const tail = Buffer.alloc(tailSize);
+  fs.readSync(fd, tail, 0, tailSize, size - tailSize);
+  let end = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new InputError(`${source} is not a zip archive`);
+  const count = tail.readUInt16LE(end + 10);
+  const dirSize = tail.readUInt32LE(end + 12);
+  const dirOffset = tail.readUInt32LE(end + 16);
+  if (dirOffset === 0xffffffff || count === 0xffff) {
+    throw new InputError(`${source} is a zip64 archive, which is not supported`);
+  }
+  const dir = Buffer.alloc(dirSize);
+  fs.readSync(fd, dir, 0, dirSize, dirOffset);
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (dir.readUInt32LE(pos) !== 0x02014b50) {
+      throw new InputError(`${source} has a corrupt zip directory`);
+    }
+    const nameLength = dir.readUInt16LE(pos + 28);
+    const name = dir.toString("utf8", pos + 46, pos + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: dir.readUInt16LE(pos + 10),
+      compressedSize: dir.readUInt32LE(pos + 20),
+      size: dir.readUInt32LE(pos + 24),
+      offset: dir.readUInt32LE(pos + 42),
+    });
+    pos += 46 + nameLength + dir.readUInt16LE(pos + 30) + dir.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+function readZipEntry(fd, entry, source) {
+  const header = Buffer.alloc(30);
+  fs.readSync(fd, header, 0, 30, entry.offset);
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const data = Buffer.alloc(entry.compressedSize);
+  fs.readSync(fd, data, 0, data.length, start);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new InputError(`${source}: ${entry.name} uses unsupported compression (${entry.method})`);
+}
+
+module.exports = { createZipWriter, readZipEntries, readZipEntry };
@@ -2,29 +2,88 @@
 "use strict";
 
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { spawnSync } = require("child_process");
+const { spawn, spawnSync } = require("child_process");
 const crypto = require("crypto");
+const http = require("http");
+
+const { PipelineError, UsageError, InputError, CommandError } = require("./lib/errors");
+const { writeSqliteDb, openSqlite, sqliteRows } = require("./lib/sqlite");
+const { createZipWriter, readZipEntries, readZipEntry } = require("./lib/zip");
 
 function usage() {
   const text = `
 Usage:
-  node pipeline.js full-default <input_audio> [--out-dir <path>] [--deck-name "Name"] [--episode "Episode"]
+  node pipeline.js full-default <input_audio> [--out-dir <path>] [--deck-name "Name"] [--episode "Episode"] [--translate] [--diarize] [--screenshot] [--video] [--jobs N] [--single-pass] [--chunk-minutes N] [segment options] [--refine] [audio options] [--force <step,...>] [--from <step>] [--push] [deck options]
+  node pipeline.js batch <input_dir|input_audio...> [--out-dir <path>] [--deck-name "Name"] [--translate] [--diarize] [--screenshot] [--video] [--jobs N] [--single-pass] [--chunk-minutes N] [segment options] [--refine] [audio options] [--force <step,...>] [--from <step>] [--push] [deck options]
   node pipeline.js preprocess <input_media> <output_wav>
   node pipeline.js download-model <model> [models_dir] [--whisper-dir <path>]
-  node pipeline.js transcribe <input_wav> <output_words_json> --whisper-bin <path> --model <path> [--language it] [--extra "..."] [--no-defaults]
-  node pipeline.js segment <input_words_json> <output_segments_json> [--max-gap 0.8] [--max-words 20] [--max-duration 6.0] [--min-words 2]
-  node pipeline.js clip <input_media> <segments_json> <clips_dir> [--reencode]
-  node pipeline.js anki <segments_json> <clips_dir> <output_apkg> --deck-name "Name" [--episode "Episode"]
+  node pipeline.js transcribe <input_wav> <output_words_json> --whisper-bin <path> --model <path> [--language it] [--extra "..."] [--no-defaults] [--translate] [--diarize] [--chunk-minutes N] [--jobs N] [--threads N]
+  node pipeline.js segment <input_words_json> <output_segments_json> [--max-gap 0.8] [--max-words 20] [--max-duration 6.0] [--min-words 2] [--speakers 2] [--min-confidence 0.6] [--drop-low-confidence] [--language <code>] [--language-file <json|dir>] [known words options]
+  node pipeline.js refine <input_wav> <segments_json> [output_segments_json] [--window 0.15] [--lead 0.05] [--tail 0.1] [--noise -40] [--min-silence 0.03]
+  node pipeline.js clip <input_media> <segments_json> <clips_dir> [--reencode] [--screenshot] [--video] [--jobs N] [--single-pass] [audio options]
+  node pipeline.js anki <segments_json> <clips_dir> <output_apkg> --deck-name "Name" [--episode "Episode"] [--update] [--words <words_json>] [--source <file>] [--model <name>] [--language <code>] [deck options]
+  node pipeline.js ankiconnect <segments_json> <clips_dir> --deck-name "Name" [--episode "Episode"] [--update] [--words <words_json>] [--ankiconnect-url http://127.0.0.1:8765] [deck options]
+  node pipeline.js vocab <input_words_json> <segments_json> <input_media> <clips_dir> <output_apkg> [--deck-name "Name"] [--episode "Episode"] [--lemmas <map.json>] [--stopwords <list.txt>] [--min-count 1] [--limit N] [audio options]
+  node pipeline.js review <input_words_json> <segments_json> <input_media> <clips_dir> [--port 8765] [--host 127.0.0.1] [--language <code>] [audio options]
+  node pipeline.js export-subs <words_or_segments_json> <output_base> [--formats srt,vtt,lrc] [--words <words_json>]
+  node pipeline.js import-subs <input_srt_or_vtt> <output_segments_json> [--language <code>] [--language-file <json|dir>]
+  node pipeline.js verify <deck_apkg>
+  node pipeline.js doctor [--whisper-bin <path>] [--model <name|path>] [--extra "..."]
+
+Config options (all commands):
+  --config <file>                   Extra config on top of ./whisper2anki.config.json
+  --profile <name>                  Apply a named profile from the config files
+  --model <name|path>               full-default/batch: whisper model, e.g. large-v3 (default: base)
+
+Segment options (full-default, batch):
+  --max-gap 0.8 --max-words 20 --max-duration 6.0 --min-words 2 --speakers 2
+  --min-confidence 0.6 --drop-low-confidence
+                                    Same as the segment command
+  --language <code>                 Declare the language instead of whisper auto-detection
+  --language-file <json|dir>        Extra fillers/abbreviations/stopwords (a dir holds <code>.json files)
+
+Audio options (clip, vocab, full-default, batch):
+  --format mp3|ogg|opus|m4a         Clip format (default: mp3)
+  --bitrate <rate>                  e.g. 96k (default: VBR quality for mp3/ogg, 64k opus, 128k m4a)
+  --channels 2 --sample-rate 44100  Output layout (opus is always 48 kHz)
+  --loudness <LUFS>                 EBU R128 normalization, measured once per episode (e.g. -16)
+  --fade [seconds]                  Fade in/out to avoid clicks (default 0.01 when given)
+
+Deck options:
+  --cards listen,read,listen-read,production,karaoke
+                                    Card templates to generate (default: listen-read)
+  --templates <dir>                 Override templates with <card>.front.html, <card>.back.html and style.css
+  --include-speakers 1,2 --exclude-speakers 2
+                                    Keep or drop segments by speaker (needs --diarize)
+  --speaker-names "Host,Guest"      Names shown on the card instead of "Speaker 1", "Speaker 2"
+  --min-confidence 0.6              Tag notes below this confidence with needs_check
+  --tags "tag1,tag2"                Extra tags for every note (automatic tags are always added)
+  --cloze rarest|all|list           Listening cloze notes, not sentence cards (default: rarest)
+  --cloze-words <list.txt>          Target words for --cloze list (one per line)
+  --push                            full-default/batch: also send the notes to Anki via AnkiConnect
+  --ankiconnect-url <url>           AnkiConnect address (default: http://127.0.0.1:8765)
+  (plus the known words options)
+
+Known words options (segment, anki, full-default, batch):
+  --known <words.txt|deck.apkg|collection.anki2>
+                                    Keep only segments with 1..N unknown words and highlight them
+  --max-unknown 1                   N above
+  --known-field <index>             Only read this note field from a deck (default: all fields)
+  --known-min-interval <days>       Only count notes with a card at or above this interval
 
 Notes:
   - whisper.cpp must output JSON with per-word timestamps. Use the flags your build supports to enable word timestamps.
   - ffmpeg is required for preprocess and clip.
-  - anki-apkg-export is required for anki.
 `;
   console.log(text.trim());
 }
 
+// Flags whose own name starts with "no-", so they are not read as turning another flag off.
+const NO_FLAGS = new Set(["no-defaults"]);
+
+// `--no-<flag>` and `--<flag> false` set a flag to false, which turns off a config value.
 function parseArgs(argv) {
   const args = [];
   const flags = {};
@@ -34,9 +93,10 @@ function parseArgs(argv) {
       const key = v.slice(2);
       const next = argv[i + 1];
       if (!next || next.startsWith("--")) {
-        flags[key] = true;
+        if (key.startsWith("no-") && !NO_FLAGS.has(key)) flags[key.slice(3)] = false;
+        else flags[key] = true;
       } else {
-        flags[key] = next;
+        flags[key] = next === "false" ? false : next;
         i++;
       }
     } else {
@@ -46,15 +106,211 @@ function parseArgs(argv) {
   return { args, flags };
 }
 
+const CONFIG_FILE = "whisper2anki.config.json";
+const EFFECTIVE_CONFIG_FILE = "whisper2anki.effective.json";
+
+// Config values use the CLI flag names, so they are normalized to what parseArgs would produce.
+function normalizeConfigValues(values, source) {
+  const out = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (key === "profiles" || value == null) continue;
+    if (typeof value === "boolean" || typeof value === "string") out[key] = value;
+    else if (typeof value === "number") out[key] = String(value);
+    else if (Array.isArray(value)) out[key] = value.join(",");
+    else {
+      throw new UsageError(
+        `Invalid value for "${key}" in ${source}: expected a string, number, boolean or list`
+      );
+    }
+  }
+  return out;
+}
+
+function readConfigFile(configPath) {
+  let config;
+  try {
+    config = readJson(configPath);
+  } catch (err) {
+    throw new InputError(`Could not read config ${configPath}: ${err.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new InputError(`Config ${configPath} must be a JSON object`);
+  }
+  return config;
+}
+
+function configFiles(flags) {
+  const files = [];
+  const projectConfig = path.join(process.cwd(), CONFIG_FILE);
+  if (fs.existsSync(projectConfig)) files.push(projectConfig);
+  if (typeof flags.config === "string") files.push(path.resolve(flags.config));
+  return files;
+}
+
+// Layers, lowest first: project config, --config file, the chosen profile, CLI flags.
+function applyConfig(cliFlags) {
+  const files = configFiles(cliFlags);
+  let settings = {};
+  const profiles = {};
+  for (const file of files) {
+    const config = readConfigFile(file);
+    settings = { ...settings, ...normalizeConfigValues(config, file) };
+    Object.assign(profiles, config.profiles || {});
+  }
+
+  const profileName =
+    cliFlags.profile === false
+      ? null
+      : typeof cliFlags.profile === "string"
+        ? cliFlags.profile
+        : settings.profile;
+  if (profileName) {
+    const profile = profiles[profileName];
+    if (!profile) {
+      const known = Object.keys(profiles);
+      throw new UsageError(
+        `Unknown profile "${profileName}". ` +
+          (known.length > 0 ? `Available: ${known.join(", ")}` : `No profiles in ${CONFIG_FILE}`)
+      );
+    }
+    settings = { ...settings, ...normalizeConfigValues(profile, `profile "${profileName}"`) };
+  }
+
+  // A false from a higher layer switches the flag off, as if it had never been given.
+  const merged = { ...settings, ...cliFlags };
+  for (const [key, value] of Object.entries(merged)) {
+    if (value === false) delete merged[key];
+  }
+  return merged;
+}
+
+function writeEffectiveConfig(outDir, flags) {
+  ensureDir(outDir);
+  writeJson(path.join(outDir, EFFECTIVE_CONFIG_FILE), {
+    config_files: configFiles(flags),
+    profile: flags.profile || null,
+    settings: flags,
+  });
+}
+
+function missingToolError(cmd, cmdArgs, err) {
+  if (!err || err.code !== "ENOENT") return null;
+  const message = `${cmd} was not found. Run "node pipeline.js doctor" to check your setup.`;
+  return new CommandError(message, { command: cmd, args: cmdArgs });
+}
+
 function run(cmd, cmdArgs, opts = {}) {
-  const res = spawnSync(cmd, cmdArgs, { stdio: "inherit", ...opts });
+  const res = spawnSync(cmd, cmdArgs, { stdio: quiet ? "ignore" : "inherit", ...opts });
+  const missing = missingToolError(cmd, cmdArgs, res.error);
+  if (missing) throw missing;
+  if (res.status !== 0) {
+    throw new CommandError(`Command failed: ${cmd} ${cmdArgs.join(" ")}`, {
+      command: cmd,
+      args: cmdArgs,
+      status: res.status,
+    });
+  }
+}
+
+function runAsync(cmd, cmdArgs, opts = {}) {
+  const { onLine, ...spawnOpts } = opts;
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, cmdArgs, { stdio: ["ignore", "ignore", "pipe"], ...spawnOpts });
+    let stderr = "";
+    let partial = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-4000);
+      if (!onLine) return;
+      const lines = (partial + chunk).split(/\r?\n|\r/);
+      partial = lines.pop();
+      lines.forEach(onLine);
+    });
+    child.on("error", (err) =>
+      reject(
+        missingToolError(cmd, cmdArgs, err) ||
+          new CommandError(`Command failed: ${cmd}: ${err.message}`, { command: cmd, args: cmdArgs })
+      )
+    );
+    child.on("close", (code) => {
+      if (code === 0) return resolve();
+      reject(
+        new CommandError(`Command failed: ${cmd} ${cmdArgs.join(" ")}\n${stderr.trim()}`, {
+          command: cmd,
+          args: cmdArgs,
+          status: code,
+        })
+      );
+    });
+  });
+}
+
+async function runPool(items, jobs, worker) {
+  let next = 0;
+  const count = Math.max(1, Math.min(Number(jobs) || 1, items.length));
+  const workers = Array.from({ length: count }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function runCapture(cmd, cmdArgs, opts = {}) {
+  const res = spawnSync(cmd, cmdArgs, {
+    stdio: ["ignore", "pipe", quiet ? "ignore" : "inherit"],
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+    ...opts,
+  });
+  const missing = missingToolError(cmd, cmdArgs, res.error);
+  if (missing) throw missing;
+  if (res.status !== 0) {
+    throw new CommandError(`Command failed: ${cmd} ${cmdArgs.join(" ")}`, {
+      command: cmd,
+      args: cmdArgs,
+      status: res.status,
+    });
+  }
+  return res.stdout;
+}
+
+// For ffmpeg filters that report on stderr (silencedetect, loudnorm), returns what they printed.
+function runStderr(cmd, cmdArgs, description) {
+  const res = spawnSync(cmd, cmdArgs, {
+    stdio: ["ignore", "ignore", "pipe"],
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  const missing = missingToolError(cmd, cmdArgs, res.error);
+  if (missing) throw missing;
   if (res.status !== 0) {
-    throw new Error(`Command failed: ${cmd} ${cmdArgs.join(" ")}`);
+    throw new CommandError(`Command failed: ${description}`, {
+      command: cmd,
+      args: cmdArgs,
+      status: res.status,
+    });
   }
+  return res.stderr;
+}
+
+const defaultLogger = (message) => console.log(`[pipeline] ${message}`);
+let logger = defaultLogger;
+let quiet = false;
+
+// Library callers can redirect the log lines, or pass null to silence them and ffmpeg's own output.
+// With no argument it restores the default [pipeline] lines.
+function setLogger(fn = defaultLogger) {
+  logger = fn;
+  quiet = !fn;
 }
 
 function log(message) {
-  console.log(`[pipeline] ${message}`);
+  if (logger) logger(message);
+}
+
+function emitProgress(options, event) {
+  if (options && typeof options.onProgress === "function") options.onProgress(event);
 }
 
 function ensureDir(dir) {
@@ -62,18 +318,398 @@ function ensureDir(dir) {
 }
 
 function readJson(filePath) {
-  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!fs.existsSync(filePath)) {
+    throw new InputError(`File not found: ${filePath}`, { file: filePath });
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new InputError(`Invalid JSON in ${filePath}: ${err.message}`, { file: filePath });
+  }
 }
 
 function writeJson(filePath, obj) {
   fs.writeFileSync(filePath, JSON.stringify(obj, null, 2) + "\n", "utf8");
 }
 
-function escapeSql(value) {
-  return String(value).replace(/'/g, "''");
+// Part of every note type id, instead of the field list or card set, so a rebuilt deck keeps
+// updating the notes already in Anki. Anki does not merge a changed note type on its own: it
+// imports a copy unless "Merge note types" is enabled. Fields are only ever appended, so the merge
+// is safe; bump this only for a change that would break it, such as removing or reordering fields.
+const NOTE_TYPE_VERSION = 1;
+
+const SENTENCE_FIELDS = [
+  "Text",
+  "RawText",
+  "Audio",
+  "Episode",
+  "Start",
+  "End",
+  "Translation",
+  "Notes",
+  "Image",
+  "Video",
+  "Speaker",
+  "Words",
+];
+
+const SENTENCE_BACK_DETAILS = `{{#Image}}<div class="image">{{Image}}</div>{{/Image}}
+{{#Video}}<div class="video">{{Video}}</div>{{/Video}}
+<div class="raw">{{RawText}}</div>
+{{#Translation}}<div class="translation">{{Translation}}</div>{{/Translation}}
+<div class="meta">{{#Speaker}}<span class="speaker">{{Speaker}}</span> {{/Speaker}}{{Episode}} {{Start}}-{{End}}</div>
+{{#Notes}}<div class="notes">{{Notes}}</div>{{/Notes}}`;
+
+// Plays the clip with an HTML5 audio element, highlights the word being spoken and replays from a
+// word when it is clicked. Anki reuses the page between cards, so the previous clip is stopped.
+const KARAOKE_SCRIPT = `<script>
+(function () {
+  var roots = document.querySelectorAll(".karaoke");
+  var root = roots[roots.length - 1];
+  if (!root) return;
+  if (window.karaokeAudio) window.karaokeAudio.pause();
+  var audio = new Audio(root.getAttribute("data-audio"));
+  window.karaokeAudio = audio;
+  var words = root.querySelectorAll("[data-start]");
+  function update() {
+    var time = audio.currentTime;
+    for (var i = 0; i < words.length; i++) {
+      var start = parseFloat(words[i].getAttribute("data-start"));
+      var end = parseFloat(words[i].getAttribute("data-end"));
+      words[i].classList.toggle("active", time >= start && time < end);
+    }
+    if (!audio.paused) requestAnimationFrame(update);
+  }
+  function playFrom(time) {
+    audio.currentTime = time;
+    audio.play().catch(function () {});
+  }
+  audio.addEventListener("play", update);
+  audio.addEventListener("ended", update);
+  for (var i = 0; i < words.length; i++) {
+    words[i].addEventListener("click", function () {
+      playFrom(parseFloat(this.getAttribute("data-start")));
+    });
+  }
+  var buttons = document.querySelectorAll(".karaoke-play");
+  if (buttons.length > 0) {
+    buttons[buttons.length - 1].addEventListener("click", function () {
+      playFrom(0);
+    });
+  }
+  playFrom(0);
+})();
+</script>`;
+
+const CARD_TEMPLATES = {
+  listen: {
+    name: "Listening",
+    qfmt: `<div class="prompt">{{Audio}}</div>`,
+    afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+<div class="text">{{Text}}</div>
+${SENTENCE_BACK_DETAILS}`,
+  },
+  read: {
+    name: "Reading",
+    qfmt: `<div class="text">{{Text}}</div>`,
+    afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+{{Audio}}
+${SENTENCE_BACK_DETAILS}`,
+  },
+  "listen-read": {
+    name: "Listening + Reading",
+    qfmt: `<div class="text">{{Text}}</div>
+{{Audio}}`,
+    afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+${SENTENCE_BACK_DETAILS}`,
+  },
+  production: {
+    name: "Production",
+    qfmt: `{{#Translation}}<div class="translation">{{Translation}}</div>{{/Translation}}`,
+    afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+<div class="text">{{Text}}</div>
+{{Audio}}
+<div class="meta">{{Episode}} {{Start}}-{{End}}</div>`,
+  },
+  karaoke: {
+    name: "Read-along",
+    qfmt: `{{#Words}}<div class="text">{{Words}}</div>
+<button class="karaoke-play">&#9654;</button>{{/Words}}
+${KARAOKE_SCRIPT}`,
+    afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+${SENTENCE_BACK_DETAILS}`,
+  },
+};
+
+// Cloze decks use Anki's cloze note type: one card per {{cN::...}} in Text.
+const CLOZE_TEMPLATES = {
+  cloze: {
+    name: "Cloze",
+    qfmt: `{{Audio}}
+<div class="text">{{cloze:Text}}</div>
+{{type:cloze:Text}}`,
+    afmt: `<div class="text">{{cloze:Text}}</div>
+{{type:cloze:Text}}
+{{Audio}}
+${SENTENCE_BACK_DETAILS}`,
+  },
+};
+
+const CLOZE_MODES = ["rarest", "all", "list"];
+
+const DEFAULT_CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 20px;
+  text-align: center;
+  color: black;
+  background-color: white;
+}
+.text {
+  font-size: 26px;
+}
+.raw,
+.meta,
+.notes {
+  margin-top: 8px;
+  font-size: 14px;
+  color: #666;
+}
+.translation {
+  margin-top: 12px;
+  font-style: italic;
+}
+.unknown {
+  color: #c0392b;
+  font-weight: bold;
+}
+.cloze {
+  color: #2874a6;
+  font-weight: bold;
+}
+.image img {
+  max-width: 100%;
+  margin-top: 12px;
+}
+.karaoke [data-start] {
+  cursor: pointer;
+  border-radius: 4px;
+}
+.karaoke .active {
+  background-color: #ffe58a;
+}
+.karaoke-play {
+  margin-top: 12px;
+  font-size: 18px;
+}
+`;
+
+const VOCAB_NOTE_TYPE = {
+  name: "Vocab",
+  fields: [
+    "Word",
+    "Forms",
+    "Count",
+    "WordAudio",
+    "Example",
+    "ExampleAudio",
+    "Translation",
+    "Episode",
+  ],
+  templates: [
+    {
+      key: "word",
+      name: "Word",
+      qfmt: `<div class="text">{{Word}}</div>
+{{WordAudio}}`,
+      afmt: `{{FrontSide}}
+
+<hr id="answer">
+
+<div class="example">{{Example}}</div>
+{{ExampleAudio}}
+{{#Translation}}<div class="translation">{{Translation}}</div>{{/Translation}}
+<div class="meta">{{Forms}} | {{Count}}x | {{Episode}}</div>`,
+    },
+  ],
+  css: DEFAULT_CARD_CSS,
+};
+
+// cards is null for the default card set. Cloze decks have a single template of their own.
+function loadNoteType(cards, templatesDir, cloze = null) {
+  if (cloze && cards) {
+    throw new UsageError(
+      "--cards does not apply to --cloze decks, which always use Anki's cloze note type"
+    );
+  }
+  const builtIns = cloze ? CLOZE_TEMPLATES : CARD_TEMPLATES;
+  const requested = cards || ["listen-read"];
+  for (const key of cloze ? [] : requested) {
+    if (!CARD_TEMPLATES[key]) {
+      throw new UsageError(
+        `Unknown card template "${key}". Expected one of: ${Object.keys(CARD_TEMPLATES).join(", ")}`
+      );
+    }
+  }
+  // Card ords follow CARD_TEMPLATES, not --cards, so reordering --cards keeps card ids.
+  const keys = cloze
+    ? ["cloze"]
+    : Object.keys(CARD_TEMPLATES).filter((key) => requested.includes(key));
+  const templates = [];
+  for (const key of keys) {
+    const builtIn = builtIns[key];
+    const tmpl = { key, name: builtIn.name, qfmt: builtIn.qfmt, afmt: builtIn.afmt };
+    if (templatesDir) {
+      const frontPath = path.join(templatesDir, `${key}.front.html`);
+      const backPath = path.join(templatesDir, `${key}.back.html`);
+      if (fs.existsSync(frontPath)) tmpl.qfmt = fs.readFileSync(frontPath, "utf8");
+      if (fs.existsSync(backPath)) tmpl.afmt = fs.readFileSync(backPath, "utf8");
+    }
+    templates.push(tmpl);
+  }
+
+  let css = DEFAULT_CARD_CSS;
+  if (templatesDir) {
+    const cssPath = path.join(templatesDir, "style.css");
+    if (fs.existsSync(cssPath)) css = fs.readFileSync(cssPath, "utf8");
+  }
+
+  // Only the read-along card uses the word timings, so other note types go without the field.
+  const fields = keys.includes("karaoke")
+    ? SENTENCE_FIELDS
+    : SENTENCE_FIELDS.filter((name) => name !== "Words");
+  if (cloze) return { name: "Cloze", cloze: true, fields, templates, css };
+  return { fields, templates, css };
+}
+
+function templateRequirements(tmpl, fields) {
+  const used = [];
+  fields.forEach((name, ord) => {
+    if (tmpl.qfmt.includes(`{{${name}}}`)) used.push(ord);
+  });
+  return used.length > 0 ? used : [0];
+}
+
+function templateHasContent(tmpl, fields, values) {
+  return templateRequirements(tmpl, fields).some((ord) => String(values[fields[ord]] || "") !== "");
+}
+
+// Schema of collection.anki2, the format every Anki version can import.
+const ANKI_SCHEMA = [
+  {
+    type: "table",
+    name: "col",
+    sql: `CREATE TABLE col (
+    id              integer primary key,
+    crt             integer not null,
+    mod             integer not null,
+    scm             integer not null,
+    ver             integer not null,
+    dty             integer not null,
+    usn             integer not null,
+    ls              integer not null,
+    conf            text not null,
+    models          text not null,
+    decks           text not null,
+    dconf           text not null,
+    tags            text not null
+)`,
+  },
+  {
+    type: "table",
+    name: "notes",
+    sql: `CREATE TABLE notes (
+    id              integer primary key,
+    guid            text not null,
+    mid             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    tags            text not null,
+    flds            text not null,
+    sfld            integer not null,
+    csum            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+  },
+  {
+    type: "table",
+    name: "cards",
+    sql: `CREATE TABLE cards (
+    id              integer primary key,
+    nid             integer not null,
+    did             integer not null,
+    ord             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    type            integer not null,
+    queue           integer not null,
+    due             integer not null,
+    ivl             integer not null,
+    factor          integer not null,
+    reps            integer not null,
+    lapses          integer not null,
+    left            integer not null,
+    odue            integer not null,
+    odid            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+  },
+  {
+    type: "table",
+    name: "revlog",
+    sql: `CREATE TABLE revlog (
+    id              integer primary key,
+    cid             integer not null,
+    usn             integer not null,
+    ease            integer not null,
+    ivl             integer not null,
+    lastIvl         integer not null,
+    factor          integer not null,
+    time            integer not null,
+    type            integer not null
+)`,
+  },
+  {
+    type: "table",
+    name: "graves",
+    sql: `CREATE TABLE graves (
+    usn             integer not null,
+    oid             integer not null,
+    type            integer not null
+)`,
+  },
+  { type: "table", name: "sqlite_stat1", sql: "CREATE TABLE sqlite_stat1(tbl,idx,stat)" },
+  { type: "index", name: "ix_notes_usn", table: "notes", columns: ["usn"] },
+  { type: "index", name: "ix_cards_usn", table: "cards", columns: ["usn"] },
+  { type: "index", name: "ix_revlog_usn", table: "revlog", columns: ["usn"] },
+  { type: "index", name: "ix_cards_nid", table: "cards", columns: ["nid"] },
+  { type: "index", name: "ix_cards_sched", table: "cards", columns: ["did", "queue", "due"] },
+  { type: "index", name: "ix_revlog_cid", table: "revlog", columns: ["cid"] },
+  { type: "index", name: "ix_notes_csum", table: "notes", columns: ["csum"] },
+];
+
+function ankiModelName(deckName, noteType) {
+  return noteType.name ? `${deckName} ${noteType.name}` : deckName;
 }
 
-function buildAnkiTemplateSql(deckName, deckId, modelId) {
+function ankiColRow(deckName, deckList, modelId, noteType) {
+  const deckId = deckList[0].id;
   const conf = {
     nextPos: 1,
     estTimes: true,
@@ -93,58 +729,49 @@ function buildAnkiTemplateSql(deckName, deckId, modelId) {
   const models = {
     [modelId]: {
       veArs: [],
-      name: deckName,
+      name: ankiModelName(deckName, noteType),
       tags: ["Tag"],
       did: deckId,
       usn: -1,
-      req: [[0, "all", [0]]],
-      flds: [
-        {
-          name: "Front",
-          media: [],
-          sticky: false,
-          rtl: false,
-          ord: 0,
-          font: "Arial",
-          size: 20,
-        },
-        {
-          name: "Back",
-          media: [],
-          sticky: false,
-          rtl: false,
-          ord: 1,
-          font: "Arial",
-          size: 20,
-        },
-      ],
+      req: noteType.templates.map((tmpl, ord) => [
+        ord,
+        "any",
+        templateRequirements(tmpl, noteType.fields),
+      ]),
+      flds: noteType.fields.map((name, ord) => ({
+        name,
+        media: [],
+        sticky: false,
+        rtl: false,
+        ord,
+        font: "Arial",
+        size: 20,
+      })),
       sortf: 0,
       latexPre:
         "\\\\documentclass[12pt]{article}\\n\\\\special{papersize=3in,5in}\\n\\\\usepackage[utf8]{inputenc}\\n\\\\usepackage{amssymb,amsmath}\\n\\\\pagestyle{empty}\\n\\\\setlength{\\\\parindent}{0in}\\n\\\\begin{document}\\n",
-      tmpls: [
-        {
-          name: "Card 1",
-          qfmt: "{{Front}}",
-          did: null,
-          bafmt: "",
-          afmt: "{{FrontSide}}\\n\\n<hr id=\\\"answer\\\">\\n\\n{{Back}}",
-          ord: 0,
-          bqfmt: "",
-        },
-      ],
+      tmpls: noteType.templates.map((tmpl, ord) => ({
+        name: tmpl.name,
+        qfmt: tmpl.qfmt,
+        did: null,
+        bafmt: "",
+        afmt: tmpl.afmt,
+        ord,
+        bqfmt: "",
+      })),
       latexPost: "\\\\end{document}",
-      type: 0,
+      type: noteType.cloze ? 1 : 0,
       id: modelId,
-      css:
-        ".card {\\n font-family: arial;\\n font-size: 20px;\\n text-align: center;\\n color: black;\\nbackground-color: white;\\n}\\n",
+      css: noteType.css,
       mod: Math.floor(Date.now() / 1000),
     },
   };
 
-  const decks = {
-    [deckId]: {
-      desc: "",
-      name: deckName,
+  const decks = {};
+  for (const deck of deckList) {
+    decks[deck.id] = {
+      desc: deck.desc || "",
+      name: deck.name,
       extendRev: 50,
       usn: 0,
       collapsed: false,
@@ -155,10 +782,10 @@ function buildAnkiTemplateSql(deckName, deckId, modelId) {
       conf: 1,
       revToday: [0, 0],
       lrnToday: [0, 0],
-      id: deckId,
+      id: deck.id,
       mod: Math.floor(Date.now() / 1000),
-    },
-  };
+    };
+  }
 
   const dconf = {
     1: {
@@ -198,104 +825,21 @@ function buildAnkiTemplateSql(deckName, deckId, modelId) {
     },
   };
 
-  const confJson = escapeSql(JSON.stringify(conf));
-  const modelsJson = escapeSql(JSON.stringify(models));
-  const decksJson = escapeSql(JSON.stringify(decks));
-  const dconfJson = escapeSql(JSON.stringify(dconf));
-
-  return `
-PRAGMA foreign_keys=OFF;
-BEGIN TRANSACTION;
-CREATE TABLE col (
-    id              integer primary key,
-    crt             integer not null,
-    mod             integer not null,
-    scm             integer not null,
-    ver             integer not null,
-    dty             integer not null,
-    usn             integer not null,
-    ls              integer not null,
-    conf            text not null,
-    models          text not null,
-    decks           text not null,
-    dconf           text not null,
-    tags            text not null
-);
-INSERT INTO "col" VALUES(
-  1,
-  1388548800,
-  1435645724219,
-  1435645724215,
-  11,
-  0,
-  0,
-  0,
-  '${confJson}',
-  '${modelsJson}',
-  '${decksJson}',
-  '${dconfJson}',
-  '{}'
-);
-CREATE TABLE notes (
-    id              integer primary key,
-    guid            text not null,
-    mid             integer not null,
-    mod             integer not null,
-    usn             integer not null,
-    tags            text not null,
-    flds            text not null,
-    sfld            integer not null,
-    csum            integer not null,
-    flags           integer not null,
-    data            text not null
-);
-CREATE TABLE cards (
-    id              integer primary key,
-    nid             integer not null,
-    did             integer not null,
-    ord             integer not null,
-    mod             integer not null,
-    usn             integer not null,
-    type            integer not null,
-    queue           integer not null,
-    due             integer not null,
-    ivl             integer not null,
-    factor          integer not null,
-    reps            integer not null,
-    lapses          integer not null,
-    left            integer not null,
-    odue            integer not null,
-    odid            integer not null,
-    flags           integer not null,
-    data            text not null
-);
-CREATE TABLE revlog (
-    id              integer primary key,
-    cid             integer not null,
-    usn             integer not null,
-    ease            integer not null,
-    ivl             integer not null,
-    lastIvl         integer not null,
-    factor          integer not null,
-    time            integer not null,
-    type            integer not null
-);
-CREATE TABLE graves (
-    usn             integer not null,
-    oid             integer not null,
-    type            integer not null
-);
-ANALYZE sqlite_master;
-INSERT INTO "sqlite_stat1" VALUES('col',NULL,'1');
-CREATE INDEX ix_notes_usn on notes (usn);
-CREATE INDEX ix_cards_usn on cards (usn);
-CREATE INDEX ix_revlog_usn on revlog (usn);
-CREATE INDEX ix_cards_nid on cards (nid);
-CREATE INDEX ix_cards_sched on cards (did, queue, due);
-CREATE INDEX ix_revlog_cid on revlog (cid);
-CREATE INDEX ix_notes_csum on notes (csum);
-COMMIT;
-`;
+  return [
+    1,
+    1388548800,
+    1435645724219,
+    1435645724215,
+    11,
+    0,
+    0,
+    0,
+    JSON.stringify(conf),
+    JSON.stringify(models),
+    JSON.stringify(decks),
+    JSON.stringify(dconf),
+    "{}",
+  ];
 }
 
 function checksumSha1(str) {
@@ -303,119 +847,782 @@ function checksumSha1(str) {
   return parseInt(hash.slice(0, 8), 16);
 }
 
-function buildDeckDb(segments, clipsDir, dbPath, deckName, episode) {
-  const tempDir = path.dirname(dbPath);
-  const sqlPath = path.join(tempDir, "deck.sql");
-  const deckId = Date.now();
-  const modelId = deckId + 1;
-  const separator = String.fromCharCode(31);
-  const nowSec = Math.floor(Date.now() / 1000);
-
-  let sql = buildAnkiTemplateSql(deckName, deckId, modelId);
-  sql += "\nBEGIN TRANSACTION;\n";
+function stableId(...parts) {
+  const hash = crypto.createHash("sha1").update(parts.join("\u001f")).digest("hex");
+  // Stay in the millisecond-timestamp range Anki uses for ids, below 2^53.
+  return 1000000000000 + (parseInt(hash.slice(0, 12), 16) % 8000000000000);
+}
 
-  let noteId = Date.now();
-  let cardId = noteId + 1;
-  let due = 1;
+function segmentKey(seg) {
+  const basis = `${Number(seg.start).toFixed(3)}|${Number(seg.end).toFixed(3)}|${seg.raw_text}`;
+  return crypto.createHash("sha1").update(basis).digest("hex").slice(0, 16);
+}
 
-  for (const seg of segments) {
-    const audioFile = `${seg.id}.mp3`;
-    const audioPath = path.join(clipsDir, audioFile);
-    if (!fs.existsSync(audioPath)) continue;
-
-    const front = `${seg.text}<br>[sound:${audioFile}]`;
-    const meta = [episode, `${seg.start.toFixed(2)}-${seg.end.toFixed(2)}`]
-      .filter(Boolean)
-      .join(" | ");
-    const back = `${seg.raw_text}<br>${meta}`;
-
-    const flds = `${front}${separator}${back}`;
-    const guid = crypto.createHash("sha1").update(`${deckId}${front}${back}`).digest("hex");
-    const csum = checksumSha1(flds);
-
-    sql +=
-      "INSERT INTO notes VALUES(" +
-      `${noteId},` +
-      `'${escapeSql(guid)}',` +
-      `${modelId},` +
-      `${nowSec},` +
-      "-1," +
-      "''" +
-      ",'" +
-      escapeSql(flds) +
-      "'," +
-      `'${escapeSql(front)}',` +
-      `${csum},` +
-      "0," +
-      "''" +
-      ");\n";
-
-    sql +=
-      "INSERT INTO cards VALUES(" +
-      `${cardId},` +
-      `${noteId},` +
-      `${deckId},` +
-      "0," +
-      `${nowSec},` +
-      "-1," +
-      "0,0," +
-      `${due},` +
-      "0,0,0,0,0,0,0,0," +
-      "''" +
-      ");\n";
-
-    noteId += 2;
-    cardId += 2;
-    due += 1;
-  }
+// Cloze notes get their own GUIDs, so a cloze deck never overwrites the sentence notes.
+function noteGuid(deckName, episode, seg, variant = null) {
+  const key = seg.key || segmentKey(seg);
+  const basis = `${deckName}|${episode}|${key}${variant ? `|${variant}` : ""}`;
+  return crypto.createHash("sha1").update(basis).digest("hex");
+}
 
-  sql += "COMMIT;\n";
-  fs.writeFileSync(sqlPath, sql, "utf8");
-  run("sqlite3", [dbPath, `.read ${sqlPath}`]);
-  fs.rmSync(sqlPath, { force: true });
+function slugify(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
 
-  return { deckId, modelId };
+function mediaName(episode, file) {
+  const prefix = slugify(episode);
+  return prefix ? `${prefix}_${file}` : file;
 }
 
-function buildApkg(segments, clipsDir, outputApkg, deckName, episode) {
-  const tempDir = `${outputApkg}.tmp`;
-  if (fs.existsSync(tempDir)) {
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  }
-  ensureDir(tempDir);
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-  const dbPath = path.join(tempDir, "collection.anki2");
-  buildDeckDb(segments, clipsDir, dbPath, deckName, episode);
+// Upper bounds for the automatic length, speed and confidence tags.
+const LENGTH_BUCKETS = [
+  [2, "short"],
+  [5, "medium"],
+  [Infinity, "long"],
+];
+const WPM_BUCKETS = [
+  [110, "slow"],
+  [160, "medium"],
+  [Infinity, "fast"],
+];
+const CONFIDENCE_BUCKETS = [
+  [0.7, "low"],
+  [0.9, "medium"],
+  [Infinity, "high"],
+];
 
-  const mediaMap = {};
-  let index = 0;
-  for (const seg of segments) {
-    const audioFile = `${seg.id}.mp3`;
-    const audioPath = path.join(clipsDir, audioFile);
-    if (!fs.existsSync(audioPath)) continue;
-    const targetName = String(index);
-    fs.copyFileSync(audioPath, path.join(tempDir, targetName));
-    mediaMap[targetName] = audioFile;
-    index += 1;
-  }
+function bucket(value, buckets) {
+  return buckets.find(([max]) => value < max)[1];
+}
 
-  fs.writeFileSync(path.join(tempDir, "media"), JSON.stringify(mediaMap), "utf8");
+// --tags values go under their own parent tag, so a later push can tell them from tags added in
+// Anki and drop the ones no longer asked for.
+const USER_TAG_PREFIX = "tag::";
 
-  const files = ["collection.anki2", "media"];
-  for (let i = 0; i < index; i++) files.push(String(i));
+function noteTags(seg, ep, options) {
+  const tags = [];
+  if (ep.episode) tags.push(`episode::${slugify(ep.episode)}`);
+  if (ep.source) tags.push(`source::${slugify(ep.source)}`);
+  if (seg.speaker != null) {
+    tags.push(`speaker::${slugify(speakerName(seg.speaker, options.speakerNames))}`);
+  }
+  const range = clipRange(seg);
+  const duration = range.end - range.start;
+  if (duration > 0) {
+    const wordCount = String(seg.raw_text || seg.text || "").split(/\s+/).filter(Boolean).length;
+    tags.push(`length::${bucket(duration, LENGTH_BUCKETS)}`);
+    tags.push(`wpm::${bucket((wordCount / duration) * 60, WPM_BUCKETS)}`);
+  }
+  if (Number.isFinite(seg.confidence)) {
+    tags.push(`confidence::${bucket(seg.confidence, CONFIDENCE_BUCKETS)}`);
+  }
+  if (seg.needs_check || isLowConfidence(seg, options.minConfidence)) tags.push(LOW_CONFIDENCE_TAG);
+  return tags.concat((options.tags || []).map((tag) => `${USER_TAG_PREFIX}${tag}`));
+}
+
+function deckDescription(episodes, options, noteCount) {
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const sources = unique(episodes.map((ep) => ep.source || ep.episode));
+  const languages = unique(episodes.map((ep) => ep.language));
+  const items = [];
+  if (sources.length > 0) items.push(`Source: ${sources.join(", ")}`);
+  if (options.model) items.push(`Model: ${options.model}`);
+  if (languages.length > 0) items.push(`Language: ${languages.join(", ")}`);
+  items.push(`Notes: ${noteCount}`);
+  const date = new Date().toISOString().slice(0, 10);
+  return (
+    `<p>Generated by WhisperToAnki on ${date}.</p>\n<ul>` +
+    items.map((item) => `<li>${escapeHtml(item)}</li>`).join("") +
+    "</ul>"
+  );
+}
+
+function formatSeconds(value) {
+  return Number(value).toFixed(2);
+}
+
+function highlightWords(text, words) {
+  if (!words || words.length === 0) return text;
+  const targets = new Set(words);
+  return text
+    .split(/(\s+)/)
+    .map((token) => {
+      if (!targets.has(normalizeToken(token))) return token;
+      const [, lead, core, tail] = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+      return `${lead}<span class="unknown">${core}</span>${tail}`;
+    })
+    .join("");
+}
+
+// Content words of a segment in order, without stopwords, fillers, numbers or repeats.
+function contentWords(text, profile) {
+  const words = [];
+  for (const token of text.split(/\s+/)) {
+    const word = normalizeToken(token);
+    if (!word || /^\d+$/.test(word)) continue;
+    if (profile.stopwords.has(word) || profile.fillers.has(word)) continue;
+    if (!words.includes(word)) words.push(word);
+  }
+  return words;
+}
+
+// Returns a function picking the words to blank in a segment, in cloze number order.
+function clozeSelector(episodes, options) {
+  const mode = options.cloze;
+  if (!CLOZE_MODES.includes(mode)) {
+    throw new UsageError(
+      `Unknown cloze mode "${mode}". Expected one of: ${CLOZE_MODES.join(", ")}`
+    );
+  }
+  if (mode === "list") {
+    if (!options.clozeWords) throw new UsageError("--cloze list needs --cloze-words <file>");
+    if (!fs.existsSync(options.clozeWords)) {
+      throw new InputError(`File not found: ${options.clozeWords}`);
+    }
+    const targets = readWordList(options.clozeWords);
+    return (seg) => {
+      const words = [];
+      for (const token of seg.text.split(/\s+/)) {
+        const word = normalizeToken(token);
+        if (targets.has(word) && !words.includes(word)) words.push(word);
+      }
+      return words;
+    };
+  }
+
+  const profiles = new Map();
+  const profileFor = (ep) => {
+    if (!profiles.has(ep.language)) {
+      profiles.set(ep.language, languageProfile(ep.language || undefined, options.languageFile));
+    }
+    return profiles.get(ep.language);
+  };
+  if (mode === "all") return (seg, ep) => contentWords(seg.text, profileFor(ep));
+
+  const counts = new Map();
+  for (const ep of episodes) {
+    for (const seg of ep.segments) {
+      for (const token of seg.text.split(/\s+/)) {
+        const word = normalizeToken(token);
+        if (word) counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    }
+  }
+  // Least frequent in the deck; ties go to the longer word.
+  return (seg, ep) => {
+    const words = contentWords(seg.text, profileFor(ep));
+    if (words.length === 0) return [];
+    const rarest = words.reduce((best, word) => {
+      const diff = counts.get(word) - counts.get(best);
+      return diff < 0 || (diff === 0 && word.length > best.length) ? word : best;
+    });
+    return [rarest];
+  };
+}
+
+function clozeText(text, targets) {
+  return text
+    .split(/(\s+)/)
+    .map((token) => {
+      const index = targets.indexOf(normalizeToken(token));
+      if (index < 0) return token;
+      const [, lead, core, tail] = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+      return `${lead}{{c${index + 1}::${core}}}${tail}`;
+    })
+    .join("");
+}
+
+function clozeOrdinals(text) {
+  const numbers = new Set();
+  for (const match of String(text).matchAll(/\{\{c(\d+)::/g)) numbers.add(Number(match[1]) - 1);
+  return [...numbers].sort((a, b) => a - b);
+}
+
+// Wraps each spoken word with its timing relative to the clip, for the karaoke card's player.
+function karaokeHtml(seg, words, audioName) {
+  const indices = seg.word_indices || [];
+  if (!words || indices.length === 0) return "";
+  const offset = clipRange(seg).start;
+  const spans = indices
+    .map((i) => words[i])
+    .filter(Boolean)
+    .map((w) => {
+      const start = Math.max(0, w.start - offset).toFixed(2);
+      const end = Math.max(0, w.end - offset).toFixed(2);
+      return `<span data-start="${start}" data-end="${end}">${escapeHtml(w.w)}</span>`;
+    });
+  return `<span class="karaoke" data-audio="${escapeHtml(audioName)}">${spans.join(" ")}</span>`;
+}
+
+function buildNoteFields(
+  seg,
+  episode,
+  audioName,
+  imageName,
+  videoName,
+  speakerName = "",
+  wordsHtml = ""
+) {
+  return {
+    Text: highlightWords(seg.text, seg.unknown_words),
+    RawText: seg.raw_text,
+    Audio: `[sound:${audioName}]`,
+    Episode: episode || "",
+    Start: formatSeconds(seg.start),
+    End: formatSeconds(seg.end),
+    Translation: seg.translation || "",
+    Notes: seg.notes || "",
+    Image: imageName ? `<img src="${imageName}">` : "",
+    Video: videoName ? `[sound:${videoName}]` : "",
+    Speaker: speakerName,
+    Words: wordsHtml,
+  };
+}
+
+function speakerName(speaker, names = []) {
+  if (speaker == null) return "";
+  return names[speaker - 1] || `Speaker ${speaker}`;
+}
+
+// Segments without a speaker label (no --diarize) are never filtered out.
+function keepSpeaker(seg, options) {
+  if (seg.speaker == null) return true;
+  if (options.includeSpeakers && !options.includeSpeakers.includes(seg.speaker)) return false;
+  if (options.excludeSpeakers && options.excludeSpeakers.includes(seg.speaker)) return false;
+  return true;
+}
+
+function sentenceNotes(episodes, deckName, options = {}) {
+  const notes = [];
+  const pickCloze = options.cloze ? clozeSelector(episodes, options) : null;
+  for (const ep of episodes) {
+    for (const seg of ep.segments) {
+      if (!keepSpeaker(seg, options)) continue;
+      const clozeTargets = pickCloze ? pickCloze(seg, ep) : null;
+      if (clozeTargets && clozeTargets.length === 0) continue;
+      const audioFile = findClip(ep.clipsDir, seg.id);
+      if (!audioFile) continue;
+      const audioPath = path.join(ep.clipsDir, audioFile);
+      const audioName = mediaName(ep.episode, audioFile);
+      const media = [{ path: audioPath, name: audioName }];
+
+      let imageName = null;
+      const imagePath = path.join(ep.clipsDir, `${seg.id}.jpg`);
+      if (fs.existsSync(imagePath)) {
+        imageName = mediaName(ep.episode, `${seg.id}.jpg`);
+        media.push({ path: imagePath, name: imageName });
+      }
+
+      let videoName = null;
+      const videoPath = path.join(ep.clipsDir, `${seg.id}.mp4`);
+      if (fs.existsSync(videoPath)) {
+        videoName = mediaName(ep.episode, `${seg.id}.mp4`);
+        media.push({ path: videoPath, name: videoName });
+      }
+
+      const values = buildNoteFields(
+        seg,
+        ep.episode,
+        audioName,
+        imageName,
+        videoName,
+        speakerName(seg.speaker, options.speakerNames),
+        karaokeHtml(seg, ep.words, audioName)
+      );
+      if (clozeTargets) values.Text = clozeText(seg.text, clozeTargets);
+      const guid = noteGuid(deckName, ep.episode, seg, clozeTargets ? "cloze" : null);
+      notes.push({
+        guid,
+        deckName: ep.deckName,
+        tags: [...noteTags(seg, ep, options), `key::${guid}`],
+        values,
+        media,
+      });
+    }
+  }
+  return notes;
+}
+
+// Anki stores tags space-separated with a leading and trailing space.
+function formatTags(tags) {
+  return tags && tags.length > 0 ? ` ${tags.join(" ")} ` : "";
+}
+
+// Opens an .apkg: the collection database, the media map and the list of archive entries.
+function readApkg(apkgPath) {
+  if (!fs.existsSync(apkgPath)) throw new InputError(`File not found: ${apkgPath}`);
+  const fd = fs.openSync(apkgPath, "r");
+  try {
+    const entries = readZipEntries(fd, apkgPath);
+    // Newer exports keep the real collection zstd-compressed and a placeholder in collection.anki2.
+    if (entries.has("collection.anki21b")) {
+      throw new InputError(
+        `${apkgPath} uses Anki's newer collection.anki21b format, which pipeline.js cannot read. ` +
+          'Export it again with "Support older Anki versions" checked.'
+      );
+    }
+    const collection = ["collection.anki21", "collection.anki2"].find((name) => entries.has(name));
+    if (!collection) throw new InputError(`No collection.anki2 found in ${apkgPath}`);
+    const db = openSqlite(readZipEntry(fd, entries.get(collection), apkgPath), apkgPath);
+    const media = entries.has("media")
+      ? readZipEntry(fd, entries.get("media"), apkgPath).toString("utf8")
+      : null;
+    return { db, media, entries };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Notes of an earlier build of a deck by GUID, so a rebuild can tell which ones changed.
+function previousNotes(apkgPath) {
+  const previous = new Map();
+  if (!fs.existsSync(apkgPath)) return previous;
+  for (const row of sqliteRows(readApkg(apkgPath).db, "notes")) previous.set(row.guid, row);
+  return previous;
+}
+
+// Anki updates a note on import only if its mod time is newer, so notes that match the previous
+// build keep its mod time and are left alone.
+function buildDeckDb(notes, deckName, noteType, descriptions = {}, previous = new Map()) {
+  // The card set can change between builds; the id only tells sentence, cloze and vocab apart.
+  const modelId = stableId("model", ankiModelName(deckName, noteType), NOTE_TYPE_VERSION);
+  const separator = String.fromCharCode(31);
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  const deckList = [
+    { name: deckName, id: stableId("deck", deckName), desc: descriptions[deckName] },
+  ];
+  for (const note of notes) {
+    if (!note.deckName || deckList.some((d) => d.name === note.deckName)) continue;
+    deckList.push({
+      name: note.deckName,
+      id: stableId("deck", note.deckName),
+      desc: descriptions[note.deckName],
+    });
+  }
+
+  const rows = {
+    col: [ankiColRow(deckName, deckList, modelId, noteType)],
+    notes: [],
+    cards: [],
+    sqlite_stat1: [["col", null, "1"]],
+  };
+  let due = 1;
+  let unchanged = 0;
+
+  for (const note of notes) {
+    const { guid, values } = note;
+    const deckId = stableId("deck", note.deckName || deckName);
+    const flds = noteType.fields.map((name) => values[name] ?? "").join(separator);
+    const sortField = String(values[noteType.fields[0]] ?? "").replace(/<[^>]*>/g, "");
+    const noteId = stableId("note", guid);
+    const csum = checksumSha1(sortField);
+    const tags = formatTags(note.tags);
+    const prior = previous.get(guid);
+    const same = prior && prior.mid === modelId && prior.flds === flds && prior.tags === tags;
+    if (same) unchanged += 1;
+
+    rows.notes.push([
+      noteId,
+      guid,
+      modelId,
+      same ? prior.mod : nowSec,
+      -1,
+      tags,
+      flds,
+      sortField,
+      csum,
+      0,
+      "",
+    ]);
+
+    const ords = noteType.cloze
+      ? clozeOrdinals(values[noteType.fields[0]])
+      : noteType.templates
+          .map((tmpl, ord) => (templateHasContent(tmpl, noteType.fields, values) ? ord : null))
+          .filter((ord) => ord != null);
+    for (const ord of ords) {
+      rows.cards.push([
+        stableId("card", guid, ord),
+        noteId,
+        deckId,
+        ord,
+        nowSec,
+        -1,
+        0,
+        0,
+        due,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        "",
+      ]);
+    }
+
+    due += 1;
+  }
+
+  return {
+    collection: writeSqliteDb(ANKI_SCHEMA, rows),
+    deckIds: deckList.map((d) => d.id),
+    modelId,
+    unchanged,
+  };
+}
+
+// Reads a deck back and checks that notes, cards, note types, decks and media agree.
+function checkApkg(apkgPath) {
+  const { db, media, entries } = readApkg(apkgPath);
+  const problems = [];
+  const [col] = sqliteRows(db, "col");
+  const notes = sqliteRows(db, "notes");
+  const cards = sqliteRows(db, "cards");
+  const parse = (text, what) => {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      problems.push(`${what} is not valid JSON`);
+      return {};
+    }
+  };
+  const models = col ? parse(col.models, "col.models") : {};
+  const decks = col ? parse(col.decks, "col.decks") : {};
+  if (!col) problems.push("the col table is empty");
+
+  let mediaMap = {};
+  if (media == null) problems.push("the media file is missing");
+  else mediaMap = parse(media, "the media file");
+  const mediaNames = new Set(Object.values(mediaMap));
+  for (const [entryName, fileName] of Object.entries(mediaMap)) {
+    if (!entries.has(entryName)) problems.push(`media ${fileName} (entry ${entryName}) is missing`);
+  }
+  for (const entryName of entries.keys()) {
+    if (!/^collection\.anki2|^media$/.test(entryName) && !(entryName in mediaMap)) {
+      problems.push(`archive entry ${entryName} is not listed in the media file`);
+    }
+  }
+
+  const noteById = new Map(notes.map((note) => [note.id, note]));
+  const guids = new Set();
+  const usedMedia = new Set();
+  for (const note of notes) {
+    const model = models[note.mid];
+    const fields = String(note.flds).split(String.fromCharCode(31));
+    if (guids.has(note.guid)) problems.push(`note ${note.id}: duplicate guid ${note.guid}`);
+    guids.add(note.guid);
+    if (!model) {
+      problems.push(`note ${note.id}: unknown note type ${note.mid}`);
+    } else if (fields.length !== model.flds.length) {
+      problems.push(
+        `note ${note.id}: has ${fields.length} fields, its note type has ${model.flds.length}`
+      );
+    }
+    if (note.csum !== checksumSha1(String(note.sfld))) {
+      problems.push(`note ${note.id}: checksum does not match the sort field`);
+    }
+    const references = /\[sound:([^\]]+)\]|<img[^>]*\ssrc="([^"]+)"/g;
+    for (const match of String(note.flds).matchAll(references)) {
+      const name = match[1] || match[2];
+      usedMedia.add(name);
+      if (!mediaNames.has(name)) problems.push(`note ${note.id}: media ${name} is not in the deck`);
+    }
+  }
+  for (const name of mediaNames) {
+    if (!usedMedia.has(name)) problems.push(`media ${name} is not used by any note`);
+  }
+
+  const notesWithCards = new Set();
+  for (const card of cards) {
+    const note = noteById.get(card.nid);
+    notesWithCards.add(card.nid);
+    if (!note) problems.push(`card ${card.id}: note ${card.nid} does not exist`);
+    if (!decks[card.did]) problems.push(`card ${card.id}: unknown deck ${card.did}`);
+    const model = note && models[note.mid];
+    if (model && model.type === 1) {
+      if (!clozeOrdinals(note.flds).includes(card.ord)) {
+        problems.push(`card ${card.id}: note has no cloze c${card.ord + 1}`);
+      }
+    } else if (model && !model.tmpls.some((t) => t.ord === card.ord)) {
+      problems.push(`card ${card.id}: note type has no template ${card.ord}`);
+    }
+  }
+  for (const id of noteById.keys()) {
+    if (!notesWithCards.has(id)) problems.push(`note ${id}: has no cards`);
+  }
+
+  return { notes: notes.length, cards: cards.length, media: mediaNames.size, problems };
+}
+
+function writeApkg(notes, outputApkg, deckName, noteType, descriptions, previous) {
+  outputApkg = path.resolve(outputApkg);
+  const tempPath = `${outputApkg}.tmp`;
+  fs.rmSync(tempPath, { recursive: true, force: true });
+
+  const { collection, unchanged } = buildDeckDb(notes, deckName, noteType, descriptions, previous);
+
+  const mediaMap = {};
+  const mediaFiles = [];
+  const seen = new Set();
+  for (const note of notes) {
+    for (const media of note.media) {
+      if (seen.has(media.name)) continue;
+      seen.add(media.name);
+      if (!fs.existsSync(media.path)) throw new InputError(`Media file not found: ${media.path}`);
+      mediaMap[String(mediaFiles.length)] = media.name;
+      mediaFiles.push(media.path);
+    }
+  }
+
+  const zip = createZipWriter(tempPath);
+  try {
+    zip.addBuffer("collection.anki2", collection);
+    zip.addBuffer("media", Buffer.from(JSON.stringify(mediaMap), "utf8"));
+    mediaFiles.forEach((filePath, index) => zip.addFile(String(index), filePath));
+    zip.close();
+  } catch (err) {
+    zip.abort();
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+
+  const { problems } = checkApkg(tempPath);
+  if (problems.length > 0) {
+    fs.rmSync(tempPath, { force: true });
+    throw new PipelineError(
+      `Deck ${outputApkg} failed verification:\n  ${problems.slice(0, 10).join("\n  ")}`,
+      { problems }
+    );
+  }
+  fs.renameSync(tempPath, outputApkg);
+  return { unchanged };
+}
+
+function buildApkg(episodes, outputApkg, deckName, options = {}) {
+  const noteType = loadNoteType(options.cards || null, options.templatesDir, options.cloze);
+  const notes = sentenceNotes(episodes, deckName, options);
+  const descriptions = { [deckName]: deckDescription(episodes, options, notes.length) };
+  for (const ep of episodes) {
+    if (!ep.deckName || ep.deckName === deckName) continue;
+    const count = notes.filter((note) => note.deckName === ep.deckName).length;
+    descriptions[ep.deckName] = deckDescription([ep], options, count);
+  }
+  const previous = options.update ? previousNotes(outputApkg) : undefined;
+  const { unchanged } = writeApkg(notes, outputApkg, deckName, noteType, descriptions, previous);
+  if (options.update) {
+    const changed = notes.length - unchanged;
+    log(`${changed} of ${notes.length} notes are new or changed since the last deck`);
+  }
+  return { deckPath: outputApkg, notes: notes.length, unchanged };
+}
+
+const ANKICONNECT_URL = "http://127.0.0.1:8765";
+const ANKICONNECT_VERSION = 6;
+const ANKICONNECT_TIMEOUT_MS = 30000;
+
+// Tags pipeline.js generates itself; all other tags on an updated note are left alone.
+const GENERATED_TAG = /^(episode|source|speaker|length|wpm|confidence|key|tag)::|^needs_check$/;
+
+function ankiConnect(url, action, params = {}) {
+  const body = JSON.stringify({ action, version: ANKICONNECT_VERSION, params });
+  const details = { command: "AnkiConnect", args: [action] };
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      url,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          let reply;
+          try {
+            reply = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+          } catch (err) {
+            reject(new CommandError(`AnkiConnect sent an invalid reply to ${action}`, details));
+            return;
+          }
+          if (reply.error) {
+            reject(new CommandError(`AnkiConnect ${action}: ${reply.error}`, details));
+          } else {
+            resolve(reply.result);
+          }
+        });
+      }
+    );
+    req.setTimeout(ANKICONNECT_TIMEOUT_MS, () => req.destroy(new Error("timed out")));
+    req.on("error", (err) =>
+      reject(
+        new CommandError(
+          `Could not reach AnkiConnect at ${url} (${err.code || err.message}). ` +
+            "Is Anki running with the AnkiConnect add-on?",
+          { ...details, unreachable: true }
+        )
+      )
+    );
+    req.end(body);
+  });
+}
+
+async function ensureAnkiModel(call, modelName, noteType) {
+  const models = await call("modelNames");
+  if (!models.includes(modelName)) {
+    log(`Creating note type ${modelName}`);
+    await call("createModel", {
+      modelName,
+      inOrderFields: noteType.fields,
+      css: noteType.css,
+      isCloze: Boolean(noteType.cloze),
+      cardTemplates: noteType.templates.map((tmpl) => ({
+        Name: tmpl.name,
+        Front: tmpl.qfmt,
+        Back: tmpl.afmt,
+      })),
+    });
+    return;
+  }
+  const fields = await call("modelFieldNames", { modelName });
+  for (const [index, fieldName] of noteType.fields.entries()) {
+    if (fields.includes(fieldName)) continue;
+    log(`Adding field ${fieldName} to ${modelName}`);
+    await call("modelFieldAdd", { modelName, fieldName, index });
+  }
+  const templates = Object.keys(await call("modelTemplates", { modelName }));
+  for (const tmpl of noteType.templates) {
+    if (templates.includes(tmpl.name)) continue;
+    log(`Adding card type ${tmpl.name} to ${modelName}`);
+    await call("modelTemplateAdd", {
+      modelName,
+      template: { Name: tmpl.name, Front: tmpl.qfmt, Back: tmpl.afmt },
+    });
+  }
+}
+
+function sameAnkiNote(info, fields, tags) {
+  const sameFields = Object.entries(fields).every(
+    ([name, value]) => info.fields[name] && info.fields[name].value === value
+  );
+  return sameFields && [...info.tags].sort().join(" ") === [...tags].sort().join(" ");
+}
+
+// Sends notes and media to a running Anki. Notes carry a key:: tag built from their GUID, in the
+// .apkg too, so a push updates notes from an earlier push or import instead of adding duplicates.
+async function pushToAnki(episodes, deckName, options = {}) {
+  const url = options.url || ANKICONNECT_URL;
+  const call = (action, params) => ankiConnect(url, action, params);
+  const noteType = loadNoteType(options.cards || null, options.templatesDir, options.cloze);
+  const notes = sentenceNotes(episodes, deckName, options);
+  const modelName = ankiModelName(deckName, noteType);
+
+  const version = await call("version");
+  if (version < ANKICONNECT_VERSION) {
+    throw new CommandError(`AnkiConnect API version ${version} is too old; update the add-on`, {
+      command: "AnkiConnect",
+      args: ["version"],
+    });
+  }
+  const decks = await call("deckNames");
+  const wanted = new Set([deckName, ...notes.map((note) => note.deckName).filter(Boolean)]);
+  for (const name of wanted) {
+    if (decks.includes(name)) continue;
+    log(`Creating deck ${name}`);
+    await call("createDeck", { deck: name });
+  }
+  await ensureAnkiModel(call, modelName, noteType);
 
-  if (fs.existsSync(outputApkg)) {
-    fs.rmSync(outputApkg, { force: true });
+  // A re-cut clip keeps its name, so only an unchanged note skips media Anki already has.
+  const inAnki = new Set(await call("getMediaFilesNames", { pattern: "*" }));
+  const stored = new Set();
+  const results = [];
+  for (const [index, note] of notes.entries()) {
+    const keyTag = `key::${note.guid}`;
+    const fields = {};
+    for (const name of noteType.fields) fields[name] = String(note.values[name] ?? "");
+    const result = { guid: note.guid, text: note.values.Text || "", noteId: null, status: null };
+    try {
+      const [existing] = await call("findNotes", { query: `"tag:${keyTag}"` });
+      let tags = note.tags;
+      let unchanged = false;
+      if (existing) {
+        const [info] = await call("notesInfo", { notes: [existing] });
+        const ownTags = info.tags.filter((tag) => !GENERATED_TAG.test(tag));
+        tags = [...new Set([...note.tags, ...ownTags])];
+        result.noteId = existing;
+        unchanged = sameAnkiNote(info, fields, tags);
+      }
+      for (const media of note.media) {
+        if (stored.has(media.name) || (unchanged && inAnki.has(media.name))) continue;
+        const data = fs.readFileSync(media.path).toString("base64");
+        await call("storeMediaFile", { filename: media.name, data });
+        stored.add(media.name);
+      }
+      if (unchanged) {
+        result.status = "unchanged";
+      } else if (existing) {
+        await call("updateNote", { note: { id: existing, fields, tags } });
+        result.status = "updated";
+      } else {
+        result.noteId = await call("addNote", {
+          note: {
+            deckName: note.deckName || deckName,
+            modelName,
+            fields,
+            tags: note.tags,
+            options: { allowDuplicate: true },
+          },
+        });
+        result.status = "added";
+      }
+    } catch (err) {
+      if (err.unreachable || !(err instanceof PipelineError)) throw err;
+      result.status = "failed";
+      result.error = err.message;
+    }
+    results.push(result);
+    const preview = result.text.length > 60 ? `${result.text.slice(0, 57)}...` : result.text;
+    log(`[${result.status}] ${preview}${result.error ? `: ${result.error}` : ""}`);
+    emitProgress(options, {
+      step: "ankiconnect",
+      note: note.guid,
+      status: result.status,
+      done: index + 1,
+      total: notes.length,
+    });
   }
 
-  run("zip", ["-q", "-X", outputApkg].concat(files), { cwd: tempDir });
-  fs.rmSync(tempDir, { recursive: true, force: true });
+  const counts = { added: 0, updated: 0, unchanged: 0, failed: 0 };
+  for (const result of results) counts[result.status] += 1;
+  log(
+    `Pushed ${results.length} notes to Anki: ${counts.added} added, ${counts.updated} updated, ` +
+      `${counts.unchanged} unchanged, ${counts.failed} failed`
+  );
+  return { ...counts, notes: results };
 }
+
 function normalizeToken(token) {
   return token
+    .normalize("NFC")
     .toLowerCase()
-    .replace(/^[^A-Za-z0-9]+/, "")
-    .replace(/[^A-Za-z0-9]+$/, "");
+    .replace(/^[^\p{L}\p{N}]+/u, "")
+    .replace(/[^\p{L}\p{N}]+$/u, "");
 }
 
 function joinWords(words) {
@@ -423,8 +1630,15 @@ function joinWords(words) {
   return text.replace(/\s+([.,!?;:])/g, "$1");
 }
 
+// tinydiarize (-tdrz) marks a change of speaker with this special token.
+const SPEAKER_TURN_TOKEN = "[_SOLM_]";
+
 function cleanTokenText(tokenText) {
-  return tokenText.replace(/\[_TT_\d+\]/g, "").replace(/\[_BEG_\]/g, "");
+  return tokenText
+    .replace(/\[_TT_\d+\]/g, "")
+    .replace(/\[_BEG_\]/g, "")
+    .split(SPEAKER_TURN_TOKEN)
+    .join("");
 }
 
 function getOffsetSeconds(obj) {
@@ -451,20 +1665,43 @@ function tokensToWords(tokens) {
 
     if (startsNew) {
       if (current) words.push(current);
-      current = { w: trimmed, start: time ? time.start : null, end: time ? time.end : null };
-      continue;
-    }
-
-    current.w += trimmed;
-    if (time) {
-      if (current.start == null) current.start = time.start;
-      current.end = time.end;
+      current = {
+        w: trimmed,
+        start: time ? time.start : null,
+        end: time ? time.end : null,
+        probs: [],
+      };
+    } else {
+      current.w += trimmed;
+      if (time) {
+        if (current.start == null) current.start = time.start;
+        current.end = time.end;
+      }
     }
+    if (Number.isFinite(token.p)) current.probs.push(token.p);
   }
 
   if (current) words.push(current);
 
-  return words.filter((w) => w.w && w.start != null && w.end != null);
+  // A word's confidence is the mean probability of the tokens it was built from.
+  return words
+    .filter((w) => w.w && w.start != null && w.end != null)
+    .map(({ probs, ...w }) =>
+      probs.length > 0 ? { ...w, confidence: roundConfidence(mean(probs)) } : w
+    );
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function roundConfidence(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function segmentConfidence(words, indices) {
+  const values = indices.map((i) => words[i] && words[i].confidence).filter(Number.isFinite);
+  return values.length > 0 ? roundConfidence(mean(values)) : null;
 }
 
 function flattenWhisperWords(raw) {
@@ -473,6 +1710,8 @@ function flattenWhisperWords(raw) {
       w: cleanTokenText(w.w || w.word || w.text || ""),
       start: Number(w.start),
       end: Number(w.end),
+      ...(Number.isFinite(w.confidence) ? { confidence: w.confidence } : {}),
+      ...(w.speaker_turn ? { speaker_turn: true } : {}),
     }));
   }
   if (Array.isArray(raw.segments)) {
@@ -491,35 +1730,339 @@ function flattenWhisperWords(raw) {
   }
   if (Array.isArray(raw.transcription)) {
     const out = [];
+    let turnPending = false;
     for (const seg of raw.transcription) {
       if (!Array.isArray(seg.tokens)) continue;
       const words = tokensToWords(seg.tokens);
       for (const w of words) {
+        if (turnPending) {
+          w.speaker_turn = true;
+          turnPending = false;
+        }
         out.push(w);
       }
+      // The marker ends the segment, so the turn starts with the next word.
+      const turnNext =
+        seg.speaker_turn_next || seg.tokens.some((t) => (t.text || "").includes(SPEAKER_TURN_TOKEN));
+      if (turnNext) turnPending = out.length > 0;
     }
     return out;
   }
   return [];
 }
 
-function buildWordsJson(rawWhisperJsonPath, outputWordsJsonPath, language) {
+function flattenWhisperSegments(raw) {
+  const out = [];
+  for (const seg of raw.transcription || []) {
+    const time = getOffsetSeconds(seg);
+    const text = cleanTokenText(seg.text || "").trim();
+    if (!time || !text) continue;
+    out.push({ start: time.start, end: time.end, text });
+  }
+  return out;
+}
+
+function detectedLanguage(raw, language) {
+  if (language && language !== "auto") return language;
+  return (raw.result && raw.result.language) || language;
+}
+
+// Schemas for the intermediate files. A trailing "?" marks an optional field, "[]" a list.
+const WORDS_SCHEMA_VERSION = 1;
+const SEGMENTS_SCHEMA_VERSION = 1;
+
+const WORD_FIELDS = {
+  w: "string",
+  start: "number",
+  end: "number",
+  confidence: "number?",
+  speaker_turn: "boolean?",
+};
+
+const TRANSLATION_FIELDS = { start: "number", end: "number", text: "string" };
+
+const SEGMENT_FIELDS = {
+  id: "string",
+  start: "number",
+  end: "number",
+  text: "string",
+  raw_text: "string",
+  word_indices: "number[]?",
+  key: "string?",
+  translation: "string?",
+  notes: "string?",
+  refined_start: "number?",
+  refined_end: "number?",
+  speaker: "number?",
+  confidence: "number?",
+  needs_check: "boolean?",
+  unknown_words: "string[]?",
+};
+
+function isType(value, type) {
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function fieldProblem(value, type) {
+  const optional = type.endsWith("?");
+  const base = optional ? type.slice(0, -1) : type;
+  if (value === undefined || value === null) return optional ? null : "is missing";
+  if (base.endsWith("[]")) {
+    const item = base.slice(0, -2);
+    if (Array.isArray(value) && value.every((v) => isType(v, item))) return null;
+    return `must be a list of ${item}s`;
+  }
+  return isType(value, base) ? null : `must be a ${base} (got ${JSON.stringify(value)})`;
+}
+
+function entryProblems(entry, fields, where) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return [`${where} must be an object (got ${JSON.stringify(entry)})`];
+  }
+  const problems = [];
+  for (const [name, type] of Object.entries(fields)) {
+    const problem = fieldProblem(entry[name], type);
+    if (problem) problems.push(`${where}: "${name}" ${problem}`);
+  }
+  if (problems.length === 0 && entry.end < entry.start) {
+    problems.push(`${where}: ends before it starts (start ${entry.start}, end ${entry.end})`);
+  }
+  return problems;
+}
+
+function reportProblems(file, kind, version, problems) {
+  if (problems.length === 0) return;
+  const shown = problems.slice(0, 10);
+  const hidden = problems.length - shown.length;
+  const more = hidden > 0 ? `\n  ...and ${hidden} more` : "";
+  throw new InputError(
+    `${file} is not a valid ${kind} file (schema v${version}):\n  ${shown.join("\n  ")}${more}`,
+    { file, problems }
+  );
+}
+
+function validateWordsJson(data, file) {
+  const problems = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    problems.push('expected an object with a "words" list');
+  } else {
+    if (data.schema_version > WORDS_SCHEMA_VERSION) {
+      problems.push(
+        `schema_version ${data.schema_version} is newer than the supported ` +
+          `version ${WORDS_SCHEMA_VERSION}; update pipeline.js`
+      );
+    }
+    if (!Array.isArray(data.words)) {
+      problems.push('"words" must be a list');
+    } else {
+      data.words.forEach((w, i) => problems.push(...entryProblems(w, WORD_FIELDS, `words[${i}]`)));
+    }
+    if (data.translation != null && !Array.isArray(data.translation)) {
+      problems.push('"translation" must be a list');
+    } else {
+      (data.translation || []).forEach((tr, i) =>
+        problems.push(...entryProblems(tr, TRANSLATION_FIELDS, `translation[${i}]`))
+      );
+    }
+  }
+  reportProblems(file, "words", WORDS_SCHEMA_VERSION, problems);
+  return data;
+}
+
+// segments.json is { schema_version, segments }. Files written before versioning are a bare list
+// and are read as v1. Returns the list of segments.
+function validateSegments(data, file) {
+  const problems = [];
+  let segments = data;
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    if (data.schema_version > SEGMENTS_SCHEMA_VERSION) {
+      problems.push(
+        `schema_version ${data.schema_version} is newer than the supported ` +
+          `version ${SEGMENTS_SCHEMA_VERSION}; update pipeline.js`
+      );
+    }
+    segments = data.segments;
+  }
+  if (!Array.isArray(segments)) {
+    problems.push('expected a "segments" list');
+  } else {
+    const seen = new Set();
+    segments.forEach((seg, i) => {
+      const where = seg && typeof seg.id === "string" ? `segment ${i} (${seg.id})` : `segment ${i}`;
+      problems.push(...entryProblems(seg, SEGMENT_FIELDS, where));
+      if (seg && seen.has(seg.id)) problems.push(`${where}: duplicate id`);
+      if (seg) seen.add(seg.id);
+    });
+  }
+  reportProblems(file, "segments", SEGMENTS_SCHEMA_VERSION, problems);
+  return segments;
+}
+
+function isSegmentsData(data) {
+  return Array.isArray(data) || Boolean(data && Array.isArray(data.segments));
+}
+
+function readWordsJson(filePath) {
+  return validateWordsJson(readJson(filePath), filePath);
+}
+
+function readSegmentsJson(filePath) {
+  return validateSegments(readJson(filePath), filePath);
+}
+
+function writeSegmentsJson(filePath, segments) {
+  writeJson(filePath, { schema_version: SEGMENTS_SCHEMA_VERSION, segments });
+}
+
+function buildWordsJson(rawWhisperJsonPath, outputWordsJsonPath, language, translation, extra) {
   const raw = readJson(rawWhisperJsonPath);
-  const words = flattenWhisperWords(raw).filter((w) => w.w);
+  writeWordsJson(
+    flattenWhisperWords(raw),
+    outputWordsJsonPath,
+    detectedLanguage(raw, language),
+    translation,
+    extra
+  );
+}
+
+function writeWordsJson(flatWords, outputWordsJsonPath, language, translation, extra = {}) {
+  const words = flatWords.filter((w) => w.w);
   if (words.length === 0) {
-    throw new Error(
+    throw new InputError(
       "No word timestamps found. Run whisper.cpp with --output-json-full and --dtw <model>."
     );
   }
   const durationSec = words.reduce((max, w) => (w.end > max ? w.end : max), 0);
   const out = {
+    schema_version: WORDS_SCHEMA_VERSION,
     language: language || "it",
     duration_sec: durationSec,
     words,
   };
+  if (translation) out.translation = translation;
+  Object.assign(out, extra);
   writeJson(outputWordsJsonPath, out);
 }
 
+// Each translated span goes to the one segment it overlaps most, if that covers at least half of
+// either, so a long translation is never copied onto several phrase segments.
+function alignTranslation(segments, translation) {
+  const parts = new Map();
+  for (const tr of translation) {
+    let best = null;
+    let bestOverlap = 0;
+    for (const seg of segments) {
+      const overlap = Math.min(seg.end, tr.end) - Math.max(seg.start, tr.start);
+      if (overlap > bestOverlap) {
+        best = seg;
+        bestOverlap = overlap;
+      }
+    }
+    if (!best) continue;
+    const segShare = bestOverlap / Math.max(best.end - best.start, 1e-6);
+    const trShare = bestOverlap / Math.max(tr.end - tr.start, 1e-6);
+    if (segShare < 0.5 && trShare < 0.5) continue;
+    if (!parts.has(best)) parts.set(best, []);
+    parts.get(best).push(tr.text);
+  }
+  for (const [seg, texts] of parts) seg.translation = texts.join(" ");
+}
+
+function wordSet(text) {
+  return new Set(text.split(/\s+/).filter(Boolean));
+}
+
+const LANGUAGE_PROFILES = {
+  it: {
+    fillers: wordSet("eh ehm allora cioè cioe diciamo praticamente tipo insomma boh capito ok"),
+    abbreviations: wordSet(
+      "sig. sig.ra sig.na dott. dott.ssa prof. prof.ssa ing. avv. arch. ecc. es. pag. p.es. n. nr. tel. ca. sec."
+    ),
+    stopwords: wordSet(
+      "a ad al alla alle agli ai all anche avere c che chi ci con cosa come da dal dalla dalle dai " +
+        "degli dei del della delle dello di e è ed era essere fa gli ha hanno ho i il in io l la le " +
+        "lei li lo loro lui ma me mi mio ne nei nel nella nelle noi non o per perche perché piu più " +
+        "poi quando quella quelle quello questa queste questo qui se sei si sia siamo sono su sua sue " +
+        "sui sul sulla suo ti tra tu tua tuo un una uno vi voi"
+    ),
+  },
+  es: {
+    fillers: wordSet("eh ehm este pues bueno vale mmm digamos tipo"),
+    abbreviations: wordSet("sr. sra. srta. dr. dra. ud. uds. etc. pág. p.ej. núm. av. lic."),
+    stopwords: wordSet(
+      "a al algo como con de del el él ella ellas ellos en entre era es esa ese eso esta está este " +
+        "esto fue ha hay la las le les lo los me mi mí mis muy más ni no nos o para pero por porque " +
+        "que qué se ser si sí sin sobre son su sus también te ti tu tú tus un una uno unos y ya yo"
+    ),
+  },
+  fr: {
+    fillers: wordSet("euh bah ben bon hein voilà genre bref"),
+    abbreviations: wordSet("m. mme. mlle. dr. etc. p.ex. cf. av. bd. st. ste."),
+    stopwords: wordSet(
+      "à a au aux avec ce ces c cette d dans de des du elle elles en est et il ils j je l la le les " +
+        "leur leurs lui ma mais me mes moi mon n ne nous on ou où par pas pour qu que qui s sa se ses " +
+        "son sur ta te tes toi ton tu un une vos votre vous y"
+    ),
+  },
+  en: {
+    fillers: wordSet("um uh erm hmm mhm"),
+    abbreviations: wordSet("mr. mrs. ms. dr. prof. st. etc. e.g. i.e. vs. no. jr. sr."),
+    stopwords: wordSet(
+      "a an and are as at be but by for from had has have he her his i in is it its me my of on or " +
+        "our she so that the their them they this to was we were what with you your"
+    ),
+  },
+};
+
+const DEFAULT_LANGUAGE = "it";
+
+function resolveLanguage(language) {
+  const code = String(language || "").toLowerCase();
+  return !code || code === "auto" ? DEFAULT_LANGUAGE : code;
+}
+
+function languageProfile(language, overridePath) {
+  const code = resolveLanguage(language);
+  const bundled = LANGUAGE_PROFILES[code];
+  if (!bundled) {
+    log(`No bundled filler/stopword lists for "${code}"; use --language-file to supply them`);
+  }
+  const profile = {
+    language: code,
+    fillers: new Set(bundled ? bundled.fillers : []),
+    abbreviations: new Set(bundled ? bundled.abbreviations : []),
+    stopwords: new Set(bundled ? bundled.stopwords : []),
+  };
+
+  let filePath = overridePath;
+  if (filePath && fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, `${code}.json`);
+  }
+  if (filePath && fs.existsSync(filePath)) {
+    const overrides = readJson(filePath);
+    for (const key of ["fillers", "abbreviations", "stopwords"]) {
+      if (!Array.isArray(overrides[key])) continue;
+      if (overrides.replace) profile[key] = new Set();
+      for (const entry of overrides[key]) {
+        const value = String(entry).normalize("NFC").toLowerCase();
+        profile[key].add(key === "abbreviations" ? value : normalizeToken(value));
+      }
+    }
+  }
+  return profile;
+}
+
+function isAbbreviation(token, profile) {
+  const lowered = token.normalize("NFC").toLowerCase().replace(/^[^\p{L}\p{N}]+/u, "");
+  return profile.abbreviations.has(lowered);
+}
+
+function stripFillers(rawWords, fillers) {
+  const displayWords = rawWords.filter((w) => !fillers.has(normalizeToken(w)));
+  return displayWords.length > 0 ? joinWords(displayWords) : joinWords(rawWords);
+}
+
 function segmentWords(wordsJson, options) {
   const words = wordsJson.words || [];
   const maxGap = Number(options.maxGap ?? 0.8);
@@ -527,19 +2070,13 @@ function segmentWords(wordsJson, options) {
   const maxDuration = Number(options.maxDuration ?? 6.0);
   const minWords = Number(options.minWords ?? 2);
 
-  const fillers = new Set([
-    "eh",
-    "ehm",
-    "allora",
-    "cioe",
-    "diciamo",
-    "praticamente",
-    "tipo",
-    "insomma",
-    "boh",
-    "capito",
-    "ok",
-  ]);
+  const profile =
+    options.profile || languageProfile(options.language || wordsJson.language, options.languageFile);
+  const fillers = profile.fillers;
+  // tinydiarize only marks turns, so speakers are numbered by alternating turns.
+  const diarized = Boolean(wordsJson.diarized) || words.some((w) => w.speaker_turn);
+  const speakerCount = Math.max(1, Number(options.speakers ?? 2));
+  let turns = 0;
 
   const segments = [];
   let current = [];
@@ -550,15 +2087,10 @@ function segmentWords(wordsJson, options) {
     const start = current[0].start;
     const end = current[current.length - 1].end;
     const rawWords = current.map((w) => w.w);
-    const displayWords = [];
-    for (const w of rawWords) {
-      const norm = normalizeToken(w);
-      if (fillers.has(norm)) continue;
-      displayWords.push(w);
-    }
     const rawText = joinWords(rawWords);
-    const displayText = displayWords.length > 0 ? joinWords(displayWords) : rawText;
+    const displayText = stripFillers(rawWords, fillers);
     const id = `seg_${String(segments.length + 1).padStart(5, "0")}`;
+    const confidence = segmentConfidence(words, currentIndices);
     segments.push({
       id,
       start,
@@ -566,6 +2098,9 @@ function segmentWords(wordsJson, options) {
       text: displayText,
       raw_text: rawText,
       word_indices: currentIndices.slice(),
+      key: segmentKey({ start, end, raw_text: rawText }),
+      ...(diarized ? { speaker: (turns % speakerCount) + 1 } : {}),
+      ...(confidence != null ? { confidence } : {}),
     });
     current = [];
     currentIndices = [];
@@ -573,6 +2108,10 @@ function segmentWords(wordsJson, options) {
 
   for (let i = 0; i < words.length; i++) {
     const w = words[i];
+    if (w.speaker_turn) {
+      flush();
+      turns += 1;
+    }
     if (current.length === 0) {
       current.push(w);
       currentIndices.push(i);
@@ -587,7 +2126,7 @@ function segmentWords(wordsJson, options) {
     current.push(w);
     currentIndices.push(i);
     const token = w.w || "";
-    const endsSentence = /[.!?]["')\]]?$/.test(token);
+    const endsSentence = /[.!?]["')\]]?$/.test(token) && !isAbbreviation(token, profile);
     if (endsSentence) {
       flush();
     } else if (current.length >= maxWords && current.length >= minWords) {
@@ -598,14 +2137,17 @@ function segmentWords(wordsJson, options) {
   }
   flush();
 
+  if (Array.isArray(wordsJson.translation)) {
+    alignTranslation(segments, wordsJson.translation);
+  }
+
   return segments;
 }
 
-function commandPreprocess(args) {
-  if (args.length < 2) usage(), process.exit(1);
-  const [input, output] = args;
+async function preprocess(input, output, options = {}) {
   ensureDir(path.dirname(output));
   run("ffmpeg", ["-y", "-i", input, "-ac", "1", "-ar", "16000", "-vn", output]);
+  return output;
 }
 
 function resolveWhisperBin(explicitPath) {
@@ -616,201 +2158,2300 @@ function resolveWhisperBin(explicitPath) {
   return fallback;
 }
 
-function commandTranscribe(args, flags) {
-  if (args.length < 2) usage(), process.exit(1);
-  const [inputWav, outputWordsJson] = args;
-  const whisperBin = resolveWhisperBin(flags["whisper-bin"]);
-  const model = flags.model;
-  const language = flags.language || "it";
-  const defaultFlags = ["-t", "4", "-p", "1", "-bs", "5", "-bo", "5"];
-  const extra = flags.extra ? flags.extra.split(" ") : [];
+async function transcribe(inputWav, outputWordsJson, options = {}) {
+  const whisperBin = resolveWhisperBin(options["whisper-bin"]);
+  const model = options.model && resolveModelPath(options.model);
+  const language = options.language || "it";
+  const chunked = Boolean(options["chunk-minutes"]);
+  const jobs = Number(options.jobs || 1);
+  const threads = options.threads
+    ? String(options.threads)
+    : chunked && jobs > 1
+      ? String(Math.max(1, Math.floor(os.cpus().length / jobs)))
+      : "4";
+  const defaultFlags = ["-t", threads, "-p", "1", "-bs", "5", "-bo", "5"];
+  const extra = options.extra ? options.extra.split(" ") : [];
   const hasDtw = extra.includes("-dtw") || extra.includes("--dtw");
-  const dtwPresetMatch = model ? path.basename(model).match(/^ggml-(.+)\.bin$/) : null;
-  const dtwPreset = dtwPresetMatch ? dtwPresetMatch[1] : null;
+  const dtwPreset = model ? dtwPresetFor(model) : null;
   const dtwFlags = hasDtw || !dtwPreset ? [] : ["-dtw", dtwPreset];
-  const whisperExtra = flags["no-defaults"]
+  const whisperExtra = options["no-defaults"]
     ? extra
     : defaultFlags.concat(dtwFlags, extra);
 
   if (!model) {
-    throw new Error("--model is required for whisper.cpp");
+    throw new UsageError("--model is required for whisper.cpp");
   }
 
   const outBase = outputWordsJson.replace(/\.json$/i, "");
   ensureDir(path.dirname(outputWordsJson));
 
-  const whisperArgs = [
-    "-m",
-    model,
-    "-f",
-    inputWav,
-    "-l",
-    language,
-    "-ojf",
-    "-of",
-    outBase,
-    ...whisperExtra,
-  ];
+  // Speaker turns only come from the transcription pass, not the translation.
+  const whisperArgsFor = (wavPath, base, translate) =>
+    ["-m", model, "-f", wavPath, "-l", language, "-ojf", "-of", base, ...whisperExtra].concat(
+      translate ? ["-tr"] : options.diarize ? ["-tdrz"] : []
+    );
+  const wordsExtra = options.diarize ? { diarized: true } : {};
+
+  if (chunked) {
+    await transcribeChunked(inputWav, outputWordsJson, {
+      whisperBin,
+      whisperArgsFor,
+      language,
+      jobs,
+      translate: options.translate,
+      chunkSec: Number(options["chunk-minutes"]) * 60,
+      wordsExtra,
+      onProgress: options.onProgress,
+    });
+    return outputWordsJson;
+  }
 
-  run(whisperBin, whisperArgs);
+  // -pp makes whisper.cpp print "progress = N%" lines, which become progress events.
+  const runWhisper = (wavPath, base, translate) =>
+    runAsync(whisperBin, [...whisperArgsFor(wavPath, base, translate), "-pp"], {
+      onLine: (line) => {
+        const match = /progress\s*=\s*(\d+)%/.exec(line);
+        if (!match) return;
+        emitProgress(options, {
+          step: "transcribe",
+          pass: translate ? "translate" : "transcribe",
+          percent: Number(match[1]),
+        });
+      },
+    });
+
+  await runWhisper(inputWav, outBase, false);
 
   const rawJsonPath = outBase + ".json";
   if (!fs.existsSync(rawJsonPath)) {
-    throw new Error(`Expected whisper.cpp output at ${rawJsonPath}`);
+    throw new CommandError(`Expected whisper.cpp output at ${rawJsonPath}`);
   }
-  buildWordsJson(rawJsonPath, outputWordsJson, language);
-}
 
-function commandDownloadModel(args, flags) {
-  if (args.length < 1) usage(), process.exit(1);
-  const [model, modelsDirArg] = args;
-  const whisperDir = flags["whisper-dir"] || path.join(process.cwd(), "whisper.cpp");
-  const scriptPath = path.join(whisperDir, "models", "download-ggml-model.sh");
-  const modelsDir = modelsDirArg || path.join(whisperDir, "models");
-  if (!fs.existsSync(scriptPath)) {
-    throw new Error(`Missing download script: ${scriptPath}`);
+  let translation = null;
+  if (options.translate) {
+    const translateBase = `${outBase}.translation`;
+    await runWhisper(inputWav, translateBase, true);
+
+    const rawTranslationPath = translateBase + ".json";
+    if (!fs.existsSync(rawTranslationPath)) {
+      throw new CommandError(`Expected whisper.cpp translation output at ${rawTranslationPath}`);
+    }
+    translation = flattenWhisperSegments(readJson(rawTranslationPath));
+  }
+
+  buildWordsJson(rawJsonPath, outputWordsJson, language, translation, wordsExtra);
+  return outputWordsJson;
+}
+
+function detectSilences(inputWav, noiseDb = -35, minSilence = 0.4) {
+  const stderr = runStderr(
+    "ffmpeg",
+    ["-hide_banner", "-i", inputWav, "-af", `silencedetect=noise=${noiseDb}dB:d=${minSilence}`, "-f", "null", "-"],
+    `ffmpeg silencedetect on ${inputWav}`
+  );
+  const silences = [];
+  let duration = null;
+  let pendingStart = null;
+  for (const line of stderr.split(/\r?\n/)) {
+    const durationMatch = line.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (durationMatch) {
+      duration =
+        Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3]);
+    }
+    const startMatch = line.match(/silence_start: (-?\d+(?:\.\d+)?)/);
+    if (startMatch) pendingStart = Math.max(0, Number(startMatch[1]));
+    const endMatch = line.match(/silence_end: (\d+(?:\.\d+)?)/);
+    if (endMatch && pendingStart != null) {
+      silences.push({ start: pendingStart, end: Number(endMatch[1]) });
+      pendingStart = null;
+    }
+  }
+  if (pendingStart != null && duration != null) {
+    silences.push({ start: pendingStart, end: duration });
+  }
+  return { duration, silences };
+}
+
+function planChunks(duration, silences, chunkSec, overlapSec = 1.0) {
+  const window = chunkSec * 0.2;
+  const cuts = [];
+  let target = chunkSec;
+  // Leave the tail in the last chunk instead of making a sliver.
+  while (target < duration - chunkSec * 0.25) {
+    let best = null;
+    for (const silence of silences) {
+      const mid = (silence.start + silence.end) / 2;
+      if (Math.abs(mid - target) > window) continue;
+      if (best == null || Math.abs(mid - target) < Math.abs(best - target)) best = mid;
+    }
+    const cut = best != null ? best : target;
+    cuts.push(cut);
+    target = cut + chunkSec;
+  }
+
+  const bounds = [0, ...cuts, duration];
+  const chunks = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    chunks.push({
+      index: i,
+      start: Math.max(0, bounds[i] - overlapSec),
+      end: Math.min(duration, bounds[i + 1] + overlapSec),
+      keepFrom: bounds[i],
+      keepTo: bounds[i + 1],
+    });
+  }
+  return chunks;
+}
+
+const THREAD_FLAGS = new Set(["-t", "--threads"]);
+
+async function transcribeChunked(inputWav, outputWordsJson, options) {
+  const { whisperBin, whisperArgsFor, language, jobs, translate, chunkSec, wordsExtra } = options;
+  const outBase = outputWordsJson.replace(/\.json$/i, "");
+  const chunksDir = `${outBase}.chunks`;
+  ensureDir(chunksDir);
+
+  log("Detecting silences for chunking...");
+  const { duration, silences } = detectSilences(inputWav);
+  if (duration == null) {
+    throw new InputError(`Could not read the duration of ${inputWav}`);
+  }
+  const chunks = planChunks(duration, silences, chunkSec);
+  log(`Transcribing ${chunks.length} chunks with ${jobs} parallel job(s)`);
+
+  // The thread count follows --jobs and does not change the transcript, so it stays out of the
+  // cache key.
+  const cacheArgs = whisperArgsFor("<wav>", "<out>", false).filter(
+    (arg, i, args) => !THREAD_FLAGS.has(arg) && !THREAD_FLAGS.has(args[i - 1])
+  );
+  const argsHash = hashValue(cacheArgs).slice(0, 12);
+  let done = 0;
+  await runPool(chunks, jobs, async (chunk) => {
+    const name = `chunk_${String(chunk.index).padStart(3, "0")}`;
+    const chunkWav = path.join(chunksDir, `${name}.wav`);
+    await runAsync("ffmpeg", [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-y",
+      "-ss",
+      String(chunk.start),
+      "-to",
+      String(chunk.end),
+      "-i",
+      inputWav,
+      "-c",
+      "copy",
+      chunkWav,
+    ]);
+
+    const key = hashValue([hashFile(chunkWav), argsHash]).slice(0, 12);
+    chunk.jsonPath = path.join(chunksDir, `${name}.${key}.json`);
+    chunk.translationPath = path.join(chunksDir, `${name}.${key}.translation.json`);
+
+    let cached = true;
+    if (!fs.existsSync(chunk.jsonPath)) {
+      cached = false;
+      await runAsync(whisperBin, whisperArgsFor(chunkWav, chunk.jsonPath.replace(/\.json$/, ""), false));
+    }
+    if (translate && !fs.existsSync(chunk.translationPath)) {
+      cached = false;
+      await runAsync(
+        whisperBin,
+        whisperArgsFor(chunkWav, chunk.translationPath.replace(/\.json$/, ""), true)
+      );
+    }
+    done += 1;
+    emitProgress(options, {
+      step: "transcribe",
+      chunk: chunk.index + 1,
+      cached,
+      done,
+      total: chunks.length,
+    });
+  });
+
+  const words = [];
+  const translation = translate ? [] : null;
+  let detected = language;
+  for (const chunk of chunks) {
+    if (!fs.existsSync(chunk.jsonPath)) {
+      throw new CommandError(`Expected whisper.cpp output at ${chunk.jsonPath}`);
+    }
+    // Overlapping audio is transcribed twice; keep each word only in the
+    // chunk that owns its midpoint.
+    const owns = (start, end) => {
+      const mid = (start + end) / 2;
+      const isLast = chunk.index === chunks.length - 1;
+      return mid >= chunk.keepFrom && (mid < chunk.keepTo || isLast);
+    };
+    const raw = readJson(chunk.jsonPath);
+    if (detected === "auto") detected = detectedLanguage(raw, language);
+    for (const w of flattenWhisperWords(raw)) {
+      const shifted = { ...w, start: w.start + chunk.start, end: w.end + chunk.start };
+      if (owns(shifted.start, shifted.end)) words.push(shifted);
+    }
+    if (translation) {
+      for (const seg of flattenWhisperSegments(readJson(chunk.translationPath))) {
+        const shifted = { ...seg, start: seg.start + chunk.start, end: seg.end + chunk.start };
+        if (owns(shifted.start, shifted.end)) translation.push(shifted);
+      }
+    }
+  }
+
+  writeWordsJson(words, outputWordsJson, detected, translation, wordsExtra);
+}
+
+async function downloadModel(model, modelsDirArg, options = {}) {
+  const whisperDir = options["whisper-dir"] || path.join(process.cwd(), "whisper.cpp");
+  const scriptPath = path.join(whisperDir, "models", "download-ggml-model.sh");
+  const modelsDir = modelsDirArg || path.join(whisperDir, "models");
+  if (!fs.existsSync(scriptPath)) {
+    throw new InputError(`Missing download script: ${scriptPath}`);
   }
   ensureDir(modelsDir);
   run("sh", [scriptPath, model, modelsDir]);
+  return path.join(modelsDir, `ggml-${model}.bin`);
 }
 
-function commandFullDefault(args, flags) {
-  if (args.length < 1) usage(), process.exit(1);
-  const [inputMp3] = args;
-  const baseName = path.basename(inputMp3).replace(path.extname(inputMp3), "");
-  const outDir = flags["out-dir"] || path.join(process.cwd(), "out", baseName);
-  const deckName = flags["deck-name"] || "Italian Podcast";
-  const episode = flags.episode || baseName;
+const MEDIA_EXTENSIONS = new Set([
+  ".mp3",
+  ".m4a",
+  ".aac",
+  ".wav",
+  ".flac",
+  ".ogg",
+  ".opus",
+  ".mp4",
+  ".mkv",
+  ".webm",
+  ".mov",
+]);
 
-  const whisperDir = path.join(process.cwd(), "whisper.cpp");
-  const whisperBin = resolveWhisperBin();
-  const modelPath = path.join(whisperDir, "models", "ggml-base.bin");
+// A model is either a path to a ggml .bin file or a name such as "base" or "large-v3".
+function resolveModelPath(model) {
+  const value = model || "base";
+  if (value.endsWith(".bin") || value.includes("/") || value.includes(path.sep)) return value;
+  return path.join(process.cwd(), "whisper.cpp", "models", `ggml-${value}.bin`);
+}
 
-  ensureDir(outDir);
-  const wavPath = path.join(outDir, `${baseName}.wav`);
-  const wordsJsonPath = path.join(outDir, "transcript.words.json");
-  const segmentsJsonPath = path.join(outDir, "segments.json");
-  const clipsDir = path.join(outDir, "clips");
-  const deckPath = path.join(outDir, "deck.apkg");
-  const outputPaths = [wavPath, wordsJsonPath, segmentsJsonPath, deckPath];
+// Alignment-head presets whisper-cli accepts for -dtw.
+const DTW_PRESETS = new Set([
+  "tiny",
+  "tiny.en",
+  "base",
+  "base.en",
+  "small",
+  "small.en",
+  "medium",
+  "medium.en",
+  "large.v1",
+  "large.v2",
+  "large.v3",
+  "large.v3.turbo",
+]);
+
+// Maps a model file such as ggml-large-v3-turbo-q5_0.bin to its DTW preset, or null if unknown.
+function dtwPresetFor(modelPath) {
+  const match = path.basename(modelPath).match(/^ggml-(.+)\.bin$/);
+  if (!match) return null;
+  const preset = match[1]
+    .replace(/-q\d.*$/, "")
+    .replace(/^large-v(\d)/, "large.v$1")
+    .replace(/-turbo$/, ".turbo");
+  return DTW_PRESETS.has(preset) ? preset : null;
+}
+
+async function prepareWhisper(flags = {}) {
+  const whisperDir = path.join(process.cwd(), "whisper.cpp");
+  const whisperBin = resolveWhisperBin(flags["whisper-bin"]);
+  const modelPath = resolveModelPath(flags.model);
 
   if (!fs.existsSync(whisperBin)) {
-    throw new Error(
+    throw new InputError(
       `whisper.cpp binary not found at ${whisperBin}. Run ./setup-whisper.sh first.`
     );
   }
 
   if (!fs.existsSync(modelPath)) {
-    log("Model not found, downloading ggml-base...");
-    commandDownloadModel(["base", path.join(whisperDir, "models")], { "whisper-dir": whisperDir });
+    const name = path.basename(modelPath).replace(/^ggml-|\.bin$/g, "");
+    if (modelPath !== resolveModelPath(name)) {
+      throw new InputError(`Model not found at ${modelPath}`);
+    }
+    log(`Model not found, downloading ggml-${name}...`);
+    await downloadModel(name, path.dirname(modelPath), { "whisper-dir": whisperDir });
   }
 
-  for (const outPath of outputPaths) {
-    if (fs.existsSync(outPath)) {
-      fs.rmSync(outPath, { force: true });
+  return { whisperBin, modelPath };
+}
+
+const PIPELINE_STEPS = ["preprocess", "transcribe", "segment", "clip", "anki"];
+const RUN_MANIFEST_VERSION = 1;
+
+function hashValue(value) {
+  return crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+}
+
+function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  const fd = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(1 << 20);
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytes));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+function hashOutput(outPath) {
+  if (!fs.statSync(outPath).isDirectory()) return hashFile(outPath);
+  const entries = fs
+    .readdirSync(outPath)
+    .sort()
+    .map((name) => [name, hashOutput(path.join(outPath, name))]);
+  return hashValue(entries);
+}
+
+const toolVersionCache = new Map();
+
+function toolVersion(cmd) {
+  if (!toolVersionCache.has(cmd)) {
+    let version = "unknown";
+    if (fs.existsSync(cmd)) {
+      const stat = fs.statSync(cmd);
+      version = `${stat.size}-${Math.floor(stat.mtimeMs)}`;
+    } else {
+      try {
+        version = runCapture(cmd, ["-version"], { stdio: ["ignore", "pipe", "ignore"] }).split("\n")[0];
+      } catch (err) {
+        version = "unavailable";
+      }
+    }
+    toolVersionCache.set(cmd, version);
+  }
+  return toolVersionCache.get(cmd);
+}
+
+function parseStepList(value, flagName) {
+  if (!value) return [];
+  const steps = String(value)
+    .split(",")
+    .map((step) => step.trim())
+    .filter(Boolean);
+  for (const step of steps) {
+    if (!PIPELINE_STEPS.includes(step)) {
+      throw new UsageError(
+        `Unknown step "${step}" for --${flagName}. Expected one of: ${PIPELINE_STEPS.join(", ")}`
+      );
     }
   }
-  if (fs.existsSync(clipsDir)) {
-    fs.rmSync(clipsDir, { recursive: true, force: true });
+  return steps;
+}
+
+function openRunManifest(outDir, inputMedia, flags) {
+  const manifestPath = path.join(outDir, "run.manifest.json");
+  let data = fs.existsSync(manifestPath) ? readJson(manifestPath) : null;
+  if (!data || data.version !== RUN_MANIFEST_VERSION) {
+    data = { version: RUN_MANIFEST_VERSION, steps: {} };
   }
+  const force = parseStepList(flags.force, "force");
+  const [from] = parseStepList(flags.from, "from");
 
-  log("Preprocessing audio...");
-  commandPreprocess([inputMp3, wavPath], {});
+  log("Hashing input...");
+  data.input = { path: path.resolve(inputMedia), sha256: hashFile(inputMedia) };
+  data.tools = {};
 
-  log("Transcribing with whisper.cpp...");
-  commandTranscribe([wavPath, wordsJsonPath], {
-    "whisper-bin": whisperBin,
-    model: modelPath,
-    language: "auto",
-  });
+  return {
+    path: manifestPath,
+    data,
+    isForced(step) {
+      if (force.includes(step)) return true;
+      return from != null && PIPELINE_STEPS.indexOf(step) >= PIPELINE_STEPS.indexOf(from);
+    },
+    save() {
+      writeJson(manifestPath, data);
+    },
+    emit(event) {
+      emitProgress(flags, event);
+    },
+  };
+}
 
-  log("Segmenting transcript...");
-  commandSegment([wordsJsonPath, segmentsJsonPath], {
-    "max-gap": "0.8",
-    "max-words": "20",
-    "max-duration": "6.0",
-    "min-words": "2",
-  });
+// Outputs are removed before the step runs, unless `replacesOutputs` says the step swaps them in
+// itself and needs the previous ones (the deck, whose notes keep their mod time on rebuild).
+async function runStep(manifest, step, params, outputs, fn, { replacesOutputs = false } = {}) {
+  const fingerprint = hashValue(params);
+  const record = manifest.data.steps[step];
+  const upToDate =
+    record && record.fingerprint === fingerprint && outputs.every((out) => fs.existsSync(out));
+  if (upToDate && !manifest.isForced(step)) {
+    log(`Skipping ${step} (inputs unchanged)`);
+    manifest.emit({ step, status: "skipped" });
+    return record.output_hash;
+  }
 
-  log("Clipping audio segments...");
-  commandClip([inputMp3, segmentsJsonPath, clipsDir], { reencode: true });
+  if (!replacesOutputs) {
+    for (const out of outputs) {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  }
+  delete manifest.data.steps[step];
+  manifest.save();
 
-  log("Building Anki deck...");
-  return commandAnki([segmentsJsonPath, clipsDir, deckPath], {
+  manifest.emit({ step, status: "running" });
+  await fn();
+
+  manifest.data.steps[step] = {
+    fingerprint,
+    params,
+    output_hash: hashValue(outputs.map(hashOutput)),
+    completed_at: new Date().toISOString(),
+  };
+  manifest.save();
+  manifest.emit({ step, status: "done" });
+  return manifest.data.steps[step].output_hash;
+}
+
+async function runEpisode(inputMedia, outDir, whisper, flags = {}) {
+  const baseName = path.basename(inputMedia).replace(path.extname(inputMedia), "");
+
+  ensureDir(outDir);
+  const wavPath = path.join(outDir, `${baseName}.wav`);
+  const wordsJsonPath = path.join(outDir, "transcript.words.json");
+  const segmentsJsonPath = path.join(outDir, "segments.json");
+  const clipsDir = path.join(outDir, "clips");
+
+  const manifest = openRunManifest(outDir, inputMedia, flags);
+  const inputHash = manifest.data.input.sha256;
+  const ffmpegVersion = toolVersion("ffmpeg");
+  const whisperVersion = toolVersion(whisper.whisperBin);
+  manifest.data.tools = { ffmpeg: ffmpegVersion, whisper: whisperVersion };
+
+  const wavHash = await runStep(
+    manifest,
+    "preprocess",
+    { input: inputHash, ffmpeg: ffmpegVersion },
+    [wavPath],
+    () => {
+      log("Preprocessing audio...");
+      return preprocess(inputMedia, wavPath);
+    }
+  );
+
+  const transcribeFlags = {
+    "whisper-bin": whisper.whisperBin,
+    model: whisper.modelPath,
+    language: flags.language || "auto",
+    extra: flags.extra,
+    "no-defaults": flags["no-defaults"],
+    translate: flags.translate,
+    diarize: flags.diarize,
+    "chunk-minutes": flags["chunk-minutes"],
+    jobs: flags.jobs,
+    threads: flags.threads,
+  };
+  const wordsHash = await runStep(
+    manifest,
+    "transcribe",
+    {
+      wav: wavHash,
+      model: path.basename(whisper.modelPath),
+      modelSize: fs.statSync(whisper.modelPath).size,
+      language: transcribeFlags.language,
+      extra: flags.extra || null,
+      noDefaults: Boolean(flags["no-defaults"]),
+      translate: Boolean(flags.translate),
+      diarize: Boolean(flags.diarize),
+      chunkMinutes: flags["chunk-minutes"] || null,
+      whisper: whisperVersion,
+    },
+    [wordsJsonPath],
+    () => {
+      log("Transcribing with whisper.cpp...");
+      return transcribe(wavPath, wordsJsonPath, {
+        ...transcribeFlags,
+        onProgress: flags.onProgress,
+      });
+    }
+  );
+
+  const segmentFlags = {
+    "max-gap": flags["max-gap"] || "0.8",
+    "max-words": flags["max-words"] || "20",
+    "max-duration": flags["max-duration"] || "6.0",
+    "min-words": flags["min-words"] || "2",
+    speakers: flags.speakers,
+    "min-confidence": flags["min-confidence"],
+    "drop-low-confidence": flags["drop-low-confidence"],
+    "language-file": flags["language-file"],
+  };
+  const languageFileHash =
+    flags["language-file"] && fs.existsSync(flags["language-file"])
+      ? hashOutput(flags["language-file"])
+      : null;
+  const refineFlags = flags.refine
+    ? {
+        window: flags.window,
+        lead: flags.lead,
+        tail: flags.tail,
+        noise: flags.noise,
+        "min-silence": flags["min-silence"],
+      }
+    : null;
+  const segmentsHash = await runStep(
+    manifest,
+    "segment",
+    {
+      words: wordsHash,
+      languageFileHash,
+      ...segmentFlags,
+      refine: refineFlags && { wav: wavHash, ...refineFlags },
+    },
+    [segmentsJsonPath],
+    async () => {
+      log("Segmenting transcript...");
+      await segment(wordsJsonPath, segmentsJsonPath, segmentFlags);
+      if (refineFlags) await refine(wavPath, segmentsJsonPath, null, refineFlags);
+    }
+  );
+
+  const clipFlags = {
+    reencode: true,
+    screenshot: Boolean(flags.screenshot),
+    video: Boolean(flags.video),
+    "single-pass": Boolean(flags["single-pass"]),
+    format: flags.format,
+    bitrate: flags.bitrate,
+    channels: flags.channels,
+    "sample-rate": flags["sample-rate"],
+    loudness: flags.loudness,
+    fade: flags.fade,
+  };
+  const clipsHash = await runStep(
+    manifest,
+    "clip",
+    { input: inputHash, segments: segmentsHash, ffmpeg: ffmpegVersion, ...clipFlags },
+    [clipsDir],
+    () => {
+      log("Clipping audio segments...");
+      return clip(inputMedia, segmentsJsonPath, clipsDir, {
+        ...clipFlags,
+        jobs: flags.jobs,
+        onProgress: flags.onProgress,
+      });
+    }
+  );
+
+  return { wordsJsonPath, segmentsJsonPath, clipsDir, manifest, segmentsHash, clipsHash };
+}
+
+async function fullDefault(inputMp3, options = {}) {
+  const baseName = path.basename(inputMp3).replace(path.extname(inputMp3), "");
+  const outDir = options["out-dir"] || path.join(process.cwd(), "out", baseName);
+  const deckName = options["deck-name"] || "Italian Podcast";
+  const episode = options.episode || baseName;
+  // Checks the deck flags before transcribing rather than at the deck step.
+  deckOptionsFromFlags(options);
+
+  const whisper = await prepareWhisper(options);
+  const deckPath = path.join(outDir, "deck.apkg");
+  writeEffectiveConfig(outDir, options);
+
+  const { wordsJsonPath, segmentsJsonPath, clipsDir, manifest, segmentsHash, clipsHash } =
+    await runEpisode(inputMp3, outDir, whisper, options);
+
+  const ankiFlags = {
     "deck-name": deckName,
     episode,
+    cards: options.cards,
+    templates: options.templates,
+    known: options.known,
+    "known-min-interval": options["known-min-interval"],
+    "known-field": options["known-field"],
+    "max-unknown": options["max-unknown"],
+    "include-speakers": options["include-speakers"],
+    "exclude-speakers": options["exclude-speakers"],
+    "speaker-names": options["speaker-names"],
+    "min-confidence": options["min-confidence"],
+    tags: options.tags,
+    cloze: options.cloze,
+    "cloze-words": options["cloze-words"],
+    source: path.basename(inputMp3),
+    model: path.basename(whisper.modelPath),
+    language: readWordsJson(wordsJsonPath).language,
+    "language-file": options["language-file"],
+    words: wordsJsonPath,
+    update: true,
+  };
+  const knownHash = options.known && fs.existsSync(options.known) ? hashFile(options.known) : null;
+  const clozeWordsHash =
+    typeof options["cloze-words"] === "string" && fs.existsSync(options["cloze-words"])
+      ? hashFile(options["cloze-words"])
+      : null;
+  const templatesHash =
+    options.templates && fs.existsSync(options.templates) ? hashOutput(options.templates) : null;
+  await runStep(
+    manifest,
+    "anki",
+    {
+      segments: segmentsHash,
+      clips: clipsHash,
+      known: knownHash,
+      templatesHash,
+      clozeWordsHash,
+      ...ankiFlags,
+    },
+    [deckPath],
+    () => {
+      log("Building Anki deck...");
+      return anki(segmentsJsonPath, clipsDir, deckPath, ankiFlags);
+    },
+    { replacesOutputs: true }
+  );
+  let pushed = null;
+  if (options.push) {
+    log("Pushing notes to Anki...");
+    pushed = await ankiconnect(segmentsJsonPath, clipsDir, {
+      ...ankiFlags,
+      "ankiconnect-url": options["ankiconnect-url"],
+      onProgress: options.onProgress,
+    });
+  }
+  return { outDir, deckPath, wordsJsonPath, segmentsJsonPath, clipsDir, pushed };
+}
+
+function listEpisodeInputs(args) {
+  const inputs = [];
+  for (const arg of args) {
+    if (fs.statSync(arg).isDirectory()) {
+      const entries = fs
+        .readdirSync(arg)
+        .filter((name) => MEDIA_EXTENSIONS.has(path.extname(name).toLowerCase()))
+        .sort();
+      for (const name of entries) inputs.push(path.join(arg, name));
+    } else {
+      inputs.push(arg);
+    }
+  }
+  return inputs;
+}
+
+function episodeName(input) {
+  return path.basename(input).replace(path.extname(input), "");
+}
+
+// Episodes share one deck and out dir, so their names must stay apart as out dirs (basenames)
+// and as media file prefixes (slugs).
+function checkEpisodeNames(inputs) {
+  const seen = new Map();
+  for (const input of inputs) {
+    const name = episodeName(input);
+    for (const key of [`name:${name}`, `slug:${slugify(name)}`]) {
+      const other = seen.get(key);
+      if (other) {
+        throw new InputError(
+          `${other} and ${input} would share the episode name "${slugify(name) || name}". ` +
+            "Rename one of them."
+        );
+      }
+      seen.set(key, input);
+    }
+  }
+}
+
+async function batch(inputPaths, options = {}) {
+  const inputs = listEpisodeInputs([].concat(inputPaths));
+  if (inputs.length === 0) {
+    throw new InputError(`No media files found in ${[].concat(inputPaths).join(", ")}`);
+  }
+  checkEpisodeNames(inputs);
+  const deckName = options["deck-name"] || "Italian Podcast";
+  const outDir = options["out-dir"] || path.join(process.cwd(), "out", "batch");
+  const deckPath = path.join(outDir, "deck.apkg");
+  const deckOptions = deckOptionsFromFlags(options);
+
+  const whisper = await prepareWhisper(options);
+  writeEffectiveConfig(outDir, options);
+  const known = options.known
+    ? loadKnownWords(options.known, {
+        minInterval: options["known-min-interval"],
+        field: options["known-field"],
+      })
+    : null;
+  const episodes = [];
+  for (const input of inputs) {
+    const episode = episodeName(input);
+    log(`Episode ${episodes.length + 1}/${inputs.length}: ${episode}`);
+    emitProgress(options, {
+      step: "episode",
+      episode,
+      done: episodes.length,
+      total: inputs.length,
+    });
+    const result = await runEpisode(input, path.join(outDir, episode), whisper, options);
+    const segments = readSegmentsJson(result.segmentsJsonPath);
+    const wordsJson = readWordsJson(result.wordsJsonPath);
+    episodes.push({
+      segments: known
+        ? filterKnownSegments(
+            segments,
+            known,
+            options["max-unknown"],
+            languageProfile(wordsJson.language, options["language-file"])
+          )
+        : segments,
+      words: wordsJson.words,
+      clipsDir: result.clipsDir,
+      episode,
+      source: path.basename(input),
+      language: wordsJson.language,
+      deckName: `${deckName}::${episode}`,
+    });
+  }
+
+  log("Building Anki deck...");
+  const deck = buildApkg(episodes, deckPath, deckName, {
+    ...deckOptions,
+    update: true,
+    model: path.basename(whisper.modelPath),
   });
+  let pushed = null;
+  if (options.push) {
+    log("Pushing notes to Anki...");
+    pushed = await pushToAnki(episodes, deckName, {
+      ...deckOptions,
+      url: options["ankiconnect-url"],
+      onProgress: options.onProgress,
+    });
+  }
+  return { outDir, ...deck, episodes: episodes.length, pushed };
 }
 
-function commandSegment(args, flags) {
-  if (args.length < 2) usage(), process.exit(1);
-  const [inputWordsJson, outputSegmentsJson] = args;
-  const wordsJson = readJson(inputWordsJson);
+async function segment(inputWordsJson, outputSegmentsJson, options = {}) {
+  const wordsJson = readWordsJson(inputWordsJson);
   const segments = segmentWords(wordsJson, {
-    maxGap: flags["max-gap"],
-    maxWords: flags["max-words"],
-    maxDuration: flags["max-duration"],
-    minWords: flags["min-words"],
+    maxGap: options["max-gap"],
+    maxWords: options["max-words"],
+    maxDuration: options["max-duration"],
+    minWords: options["min-words"],
+    speakers: options.speakers,
+    language: options.language,
+    languageFile: options["language-file"],
   });
   ensureDir(path.dirname(outputSegmentsJson));
-  writeJson(outputSegmentsJson, segments);
+  const kept = applyConfidenceFilter(segments, options, outputSegmentsJson);
+  const result = applyKnownFilter(kept, options, options.language || wordsJson.language);
+  writeSegmentsJson(outputSegmentsJson, result);
+  return result;
+}
+
+const LOW_CONFIDENCE_TAG = "needs_check";
+
+function isLowConfidence(seg, minConfidence) {
+  return minConfidence != null && Number.isFinite(seg.confidence) && seg.confidence < minConfidence;
 }
 
-function commandClip(args, flags) {
-  if (args.length < 3) usage(), process.exit(1);
-  const [inputMedia, segmentsJson, clipsDir] = args;
-  const segments = readJson(segmentsJson);
+// Shared by segment and the deck builders, so both reject the same values.
+function minConfidenceFromFlags(flags) {
+  const value = flags["min-confidence"];
+  if (value == null) return null;
+  const minConfidence =
+    typeof value === "number" || (typeof value === "string" && value.trim() !== "")
+      ? Number(value)
+      : NaN;
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new UsageError(`--min-confidence must be a number from 0 to 1 (got "${value}")`);
+  }
+  return minConfidence;
+}
+
+// Flags segments below --min-confidence, or moves them to a side file with --drop-low-confidence.
+function applyConfidenceFilter(segments, flags, outputSegmentsJson) {
+  const minConfidence = minConfidenceFromFlags(flags);
+  if (minConfidence == null) return segments;
+  const low = segments.filter((seg) => isLowConfidence(seg, minConfidence));
+  if (flags["drop-low-confidence"]) {
+    const rejectedPath = outputSegmentsJson.replace(/\.json$/i, "") + ".low-confidence.json";
+    writeSegmentsJson(rejectedPath, low);
+    log(
+      `Dropped ${low.length} segments below confidence ${minConfidence} (saved to ${rejectedPath})`
+    );
+    return segments.filter((seg) => !low.includes(seg));
+  }
+  for (const seg of segments) {
+    if (low.includes(seg)) seg.needs_check = true;
+    else delete seg.needs_check;
+  }
+  if (low.length > 0) log(`Flagged ${low.length} segments below confidence ${minConfidence}`);
+  return segments;
+}
+
+function clipRange(seg) {
+  return {
+    start: seg.refined_start ?? seg.start,
+    end: seg.refined_end ?? seg.end,
+  };
+}
+
+async function clip(inputMedia, segmentsJson, clipsDir, options = {}) {
+  const segments = readSegmentsJson(segmentsJson);
+  const jobs = Number(options.jobs || 1);
+  const audio = audioOptionsFromFlags(options);
+  const reencode = Boolean(options.reencode) || needsReencode(audio);
   ensureDir(clipsDir);
 
+  // One ffmpeg at a time keeps its progress output; a pool runs them quietly.
+  const exec =
+    jobs > 1 ? (argsList) => runAsync("ffmpeg", argsList) : (argsList) => run("ffmpeg", argsList);
+
+  if (audio.loudness != null) {
+    log(`Measuring loudness (target ${audio.loudness} LUFS)...`);
+    audio.measured = measureLoudness(inputMedia, audio.loudness);
+    log(`Episode loudness: ${audio.measured.input_i} LUFS`);
+  }
+
   for (const seg of segments) {
-    const outFile = path.join(clipsDir, `${seg.id}.mp3`);
     const txtFile = path.join(clipsDir, `${seg.id}.txt`);
     fs.writeFileSync(txtFile, seg.text + "\n", "utf8");
+    // Drop clips left over from a run with another format so anki picks up this one.
+    for (const ext of CLIP_EXTENSIONS) {
+      if (ext !== audio.ext) fs.rmSync(path.join(clipsDir, `${seg.id}${ext}`), { force: true });
+    }
+  }
+
+  if (options["single-pass"]) {
+    const batches = [];
+    for (let i = 0; i < segments.length; i += SINGLE_PASS_BATCH) {
+      batches.push(segments.slice(i, i + SINGLE_PASS_BATCH));
+    }
+    await runPool(batches, jobs, (batch) =>
+      exec(singlePassClipArgs(inputMedia, batch, clipsDir, audio))
+    );
+  }
+
+  const cutOptions = {
+    audio,
+    reencode,
+    skipAudio: Boolean(options["single-pass"]),
+    screenshot: Boolean(options.screenshot),
+    video: Boolean(options.video),
+  };
+  let done = 0;
+  await runPool(segments, jobs, async (seg) => {
+    await cutSegment(exec, inputMedia, seg, clipsDir, cutOptions);
+    done += 1;
+    emitProgress(options, { step: "clip", segment: seg.id, done, total: segments.length });
+  });
+  return { clipsDir, count: segments.length };
+}
+
+async function cutSegment(exec, inputMedia, seg, clipsDir, options) {
+  const range = clipRange(seg);
+  if (!options.skipAudio) {
+    const outFile = path.join(clipsDir, `${seg.id}${options.audio.ext}`);
+    await exec(clipArgs(inputMedia, range.start, range.end, outFile, options.reencode, options.audio));
+  }
+  if (options.screenshot) {
+    const midpoint = (range.start + range.end) / 2;
+    const imageFile = path.join(clipsDir, `${seg.id}.jpg`);
+    await exec(screenshotArgs(inputMedia, midpoint, imageFile));
+  }
+  if (options.video) {
+    const videoFile = path.join(clipsDir, `${seg.id}.mp4`);
+    await exec(videoClipArgs(inputMedia, range.start, range.end, videoFile));
+  }
+}
+
+// Segments per single-pass ffmpeg run, which keeps the command line and open encoders bounded.
+const SINGLE_PASS_BATCH = 32;
+
+// Cuts a batch of segments from one decode of their time span. Trimming needs decoded audio, so
+// this path always re-encodes, even where per-segment clipping would stream-copy.
+function singlePassClipArgs(inputMedia, segments, clipsDir, audio = audioOptionsFromFlags()) {
+  const ranges = segments.map(clipRange);
+  const from = Math.min(...ranges.map((r) => r.start));
+  const to = Math.max(...ranges.map((r) => r.end));
+  const split = segments.map((_, i) => `[s${i}]`).join("");
+  const filters = [`[0:a]asplit=${segments.length}${split}`];
+  const outputs = [];
+  segments.forEach((seg, i) => {
+    const start = (ranges[i].start - from).toFixed(3);
+    const end = (ranges[i].end - from).toFixed(3);
+    const extra = audioFilters(audio, ranges[i].end - ranges[i].start);
+    filters.push(
+      `[s${i}]atrim=start=${start}:end=${end},asetpts=PTS-STARTPTS${extra ? `,${extra}` : ""}[o${i}]`
+    );
+    outputs.push("-map", `[o${i}]`, ...audio.encodeArgs, path.join(clipsDir, `${seg.id}${audio.ext}`));
+  });
+  return [
+    "-ss",
+    String(from),
+    "-to",
+    String(to),
+    "-i",
+    inputMedia,
+    "-y",
+    "-filter_complex",
+    filters.join(";"),
+    ...outputs,
+  ];
+}
+
+function screenshotArgs(inputMedia, time, outFile) {
+  return [
+    "-ss",
+    String(time),
+    "-i",
+    inputMedia,
+    "-y",
+    "-frames:v",
+    "1",
+    "-vf",
+    "scale=640:-2",
+    "-q:v",
+    "4",
+    outFile,
+  ];
+}
+
+function videoClipArgs(inputMedia, start, end, outFile) {
+  return [
+    "-ss",
+    String(start),
+    "-to",
+    String(end),
+    "-i",
+    inputMedia,
+    "-y",
+    "-vf",
+    "scale=320:-2",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    "30",
+    "-c:a",
+    "aac",
+    "-b:a",
+    "64k",
+    "-movflags",
+    "+faststart",
+    outFile,
+  ];
+}
+
+const AUDIO_FORMATS = {
+  mp3: { ext: ".mp3", codec: "libmp3lame", quality: ["-q:a", "4"] },
+  ogg: { ext: ".ogg", codec: "libvorbis", quality: ["-q:a", "4"] },
+  opus: { ext: ".opus", codec: "libopus", quality: ["-b:a", "64k"], sampleRate: "48000" },
+  m4a: { ext: ".m4a", codec: "aac", quality: ["-b:a", "128k"] },
+};
+
+const CLIP_EXTENSIONS = Object.values(AUDIO_FORMATS).map((f) => f.ext);
+
+function audioOptionsFromFlags(flags = {}) {
+  const format = typeof flags.format === "string" ? flags.format.toLowerCase() : "mp3";
+  const spec = AUDIO_FORMATS[format];
+  if (!spec) {
+    throw new UsageError(
+      `Unknown audio format "${format}". Expected one of: ${Object.keys(AUDIO_FORMATS).join(", ")}`
+    );
+  }
+  const sampleRate = spec.sampleRate || String(flags["sample-rate"] || "44100");
+  const channels = String(flags.channels || "2");
+  const quality = flags.bitrate ? ["-b:a", String(flags.bitrate)] : spec.quality;
+  const loudness = flags.loudness != null ? Number(flags.loudness) : null;
+  // loudnorm accepts integrated loudness targets from -70 to -5 LUFS.
+  if (loudness != null && !(loudness >= -70 && loudness <= -5)) {
+    throw new UsageError(`--loudness must be a LUFS target from -70 to -5 (got "${flags.loudness}")`);
+  }
+  const fade = flags.fade ? Number(flags.fade === true ? 0.01 : flags.fade) : 0;
+  if (!(fade >= 0 && fade <= 5)) {
+    throw new UsageError(`--fade must be a number of seconds from 0 to 5 (got "${flags.fade}")`);
+  }
+  return {
+    format,
+    ext: spec.ext,
+    encodeArgs: ["-ar", sampleRate, "-ac", channels, "-codec:a", spec.codec, ...quality],
+    loudness,
+    fade,
+    // Encoder settings the user asked for, which a stream copy would silently drop.
+    customEncoding: Boolean(flags.bitrate || flags.channels || flags["sample-rate"]),
+    measured: null,
+  };
+}
+
+function needsReencode(audio) {
+  return (
+    audio.format !== "mp3" || audio.customEncoding || audio.loudness != null || audio.fade > 0
+  );
+}
+
+function audioFilters(audio, duration) {
+  const filters = [];
+  if (audio.loudness != null && audio.measured) {
+    const m = audio.measured;
+    filters.push(
+      `loudnorm=I=${audio.loudness}:TP=-1.5:LRA=11:measured_I=${m.input_i}:measured_TP=${m.input_tp}` +
+        `:measured_LRA=${m.input_lra}:measured_thresh=${m.input_thresh}:offset=${m.target_offset}:linear=true`
+    );
+  }
+  if (audio.fade > 0 && duration > audio.fade * 2) {
+    const fadeOutStart = Math.max(0, duration - audio.fade).toFixed(3);
+    filters.push(`afade=t=in:st=0:d=${audio.fade}`, `afade=t=out:st=${fadeOutStart}:d=${audio.fade}`);
+  }
+  return filters.join(",");
+}
+
+function measureLoudness(inputMedia, target) {
+  const stderr = runStderr(
+    "ffmpeg",
+    [
+      "-hide_banner",
+      "-i",
+      inputMedia,
+      "-vn",
+      "-af",
+      `loudnorm=I=${target}:TP=-1.5:LRA=11:print_format=json`,
+      "-f",
+      "null",
+      "-",
+    ],
+    `ffmpeg loudnorm analysis on ${inputMedia}`
+  );
+  const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) {
+    throw new CommandError(`Could not parse loudness measurement for ${inputMedia}`);
+  }
+  return JSON.parse(match[0]);
+}
+
+function findClip(clipsDir, baseName) {
+  for (const ext of CLIP_EXTENSIONS) {
+    const file = `${baseName}${ext}`;
+    if (fs.existsSync(path.join(clipsDir, file))) return file;
+  }
+  return null;
+}
+
+function clipArgs(inputMedia, start, end, outFile, reencode, audio = audioOptionsFromFlags()) {
+  const baseArgs = ["-ss", String(start), "-to", String(end), "-i", inputMedia];
+  const overwrite = ["-y"];
+  if (!reencode) return baseArgs.concat(overwrite).concat(["-c", "copy", outFile]);
+  const filters = audioFilters(audio, end - start);
+  return baseArgs
+    .concat(overwrite)
+    .concat(filters ? ["-af", filters] : [], audio.encodeArgs, [outFile]);
+}
+
+function readWordList(filePath) {
+  const words = new Set();
+  for (const line of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+    const word = normalizeToken(line.replace(/#.*$/, "").trim());
+    if (word) words.add(word);
+  }
+  return words;
+}
+
+function buildVocab(wordsJson, segments, options = {}) {
+  const words = wordsJson.words || [];
+  const lemmas = options.lemmas || {};
+  const profile = options.profile || languageProfile(wordsJson.language);
+  const stopwords = options.stopwords || profile.stopwords;
+  const fillers = profile.fillers;
+  const minCount = Number(options.minCount ?? 1);
+
+  const segmentByWord = new Map();
+  for (const seg of segments) {
+    for (const index of seg.word_indices || []) {
+      const current = segmentByWord.get(index);
+      if (!current || seg.end - seg.start < current.end - current.start) {
+        segmentByWord.set(index, seg);
+      }
+    }
+  }
+
+  const entries = new Map();
+  words.forEach((w, index) => {
+    const norm = normalizeToken(w.w || "");
+    if (!norm || /^\d+$/.test(norm)) return;
+    if (stopwords.has(norm) || fillers.has(norm)) return;
+    const lemma = lemmas[norm] || norm;
+    if (stopwords.has(lemma) || fillers.has(lemma)) return;
+
+    let entry = entries.get(lemma);
+    if (!entry) {
+      entry = { lemma, count: 0, forms: [], example: null, word_index: null };
+      entries.set(lemma, entry);
+    }
+    entry.count += 1;
+    if (!entry.forms.includes(norm)) entry.forms.push(norm);
+
+    const seg = segmentByWord.get(index);
+    if (!seg) return;
+    const best = entry.example;
+    if (!best || seg.end - seg.start < best.end - best.start) {
+      entry.example = seg;
+      entry.word_index = index;
+    }
+  });
+
+  return Array.from(entries.values())
+    .filter((entry) => entry.count >= minCount && entry.example)
+    .sort((a, b) => b.count - a.count || a.lemma.localeCompare(b.lemma))
+    .map((entry) => ({
+      lemma: entry.lemma,
+      count: entry.count,
+      forms: entry.forms,
+      example: entry.example.id,
+      word_index: entry.word_index,
+      start: words[entry.word_index].start,
+      end: words[entry.word_index].end,
+    }));
+}
+
+function knownWordsFromText(text, known) {
+  const plain = text
+    .replace(/\[sound:[^\]]*\]/g, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ");
+  for (const token of plain.split(/\s+/)) {
+    const word = normalizeToken(token);
+    if (word) known.add(word);
+  }
+}
+
+function loadKnownWords(source, options = {}) {
+  const ext = path.extname(source).toLowerCase();
+  if (ext !== ".apkg" && ext !== ".anki2" && ext !== ".anki21") {
+    return readWordList(source);
+  }
+
+  if (!fs.existsSync(source)) throw new InputError(`File not found: ${source}`);
+  const db = ext === ".apkg" ? readApkg(source).db : openSqlite(fs.readFileSync(source), source);
+  const minInterval = Number(options.minInterval ?? 0);
+  const separator = String.fromCharCode(31);
+  const fieldIndex = options.field != null ? Number(options.field) : null;
+
+  let notes = sqliteRows(db, "notes");
+  if (minInterval > 0) {
+    const mature = new Set(
+      sqliteRows(db, "cards")
+        .filter((card) => card.ivl >= minInterval)
+        .map((card) => card.nid)
+    );
+    notes = notes.filter((note) => mature.has(note.id));
+  }
+
+  const known = new Set();
+  for (const note of notes) {
+    const fields = String(note.flds).split(separator);
+    const text = fieldIndex != null ? fields[fieldIndex] || "" : fields.join(" ");
+    knownWordsFromText(text, known);
+  }
+  return known;
+}
 
-    const baseArgs = ["-ss", String(seg.start), "-to", String(seg.end), "-i", inputMedia];
-    const overwrite = ["-y"];
-    const argsList = flags.reencode
-      ? baseArgs
-          .concat(overwrite)
-          .concat(["-ar", "44100", "-ac", "2", "-codec:a", "libmp3lame", "-q:a", "4", outFile])
-      : baseArgs.concat(overwrite).concat(["-c", "copy", outFile]);
+function filterKnownSegments(segments, known, maxUnknown, profile = languageProfile()) {
+  const limit = Number(maxUnknown ?? 1);
+  const out = [];
+  for (const seg of segments) {
+    const unknown = [];
+    for (const token of seg.text.split(/\s+/)) {
+      const word = normalizeToken(token);
+      if (!word || /^\d+$/.test(word)) continue;
+      if (known.has(word) || profile.stopwords.has(word) || profile.fillers.has(word)) continue;
+      if (!unknown.includes(word)) unknown.push(word);
+    }
+    if (unknown.length === 0 || unknown.length > limit) continue;
+    out.push({ ...seg, unknown_words: unknown });
+  }
+  return out;
+}
 
-    run("ffmpeg", argsList);
+function applyKnownFilter(segments, flags, language) {
+  if (!flags.known) return segments;
+  const known = loadKnownWords(flags.known, {
+    minInterval: flags["known-min-interval"],
+    field: flags["known-field"],
+  });
+  const profile = languageProfile(language || flags.language, flags["language-file"]);
+  const kept = filterKnownSegments(segments, known, flags["max-unknown"], profile);
+  log(`Known words: ${known.size}, kept ${kept.length}/${segments.length} segments`);
+  return kept;
+}
+
+function snapToSilence(time, silences, window) {
+  let best = null;
+  for (const silence of silences) {
+    if (silence.end < time - window || silence.start > time + window) continue;
+    const point = Math.min(Math.max(time, silence.start), silence.end);
+    if (best == null || Math.abs(point - time) < Math.abs(best - time)) best = point;
   }
+  return best == null ? time : best;
+}
+
+function refineSegments(segments, silences, options = {}) {
+  const window = Number(options.window ?? 0.15);
+  const lead = Number(options.lead ?? 0.05);
+  const tail = Number(options.tail ?? 0.1);
+
+  const snapped = segments.map((seg) => {
+    const start = snapToSilence(seg.start, silences, window);
+    const end = snapToSilence(seg.end, silences, window);
+    // A snap that would swallow the segment is worse than no snap at all.
+    return end - start > 0.05 ? { start, end } : { start: seg.start, end: seg.end };
+  });
+
+  return segments.map((seg, i) => {
+    const { start, end } = snapped[i];
+    // Padding may use a gap to a neighbour only up to the point that splits
+    // the gap in proportion tail:lead, so padded clips never overlap.
+    let paddedStart = Math.max(0, start - lead);
+    let paddedEnd = end + tail;
+    if (i > 0) {
+      const gap = start - snapped[i - 1].end;
+      if (gap <= 0) paddedStart = start;
+      else if (gap < lead + tail) paddedStart = Math.max(paddedStart, start - (gap * lead) / (lead + tail));
+    }
+    if (i < snapped.length - 1) {
+      const gap = snapped[i + 1].start - end;
+      if (gap <= 0) paddedEnd = end;
+      else if (gap < lead + tail) paddedEnd = Math.min(paddedEnd, end + (gap * tail) / (lead + tail));
+    }
+    return {
+      ...seg,
+      refined_start: Number(paddedStart.toFixed(3)),
+      refined_end: Number(paddedEnd.toFixed(3)),
+    };
+  });
+}
+
+async function refine(inputWav, segmentsJson, outputSegmentsJson, options = {}) {
+  outputSegmentsJson = outputSegmentsJson || segmentsJson;
+  const segments = readSegmentsJson(segmentsJson);
+  log("Analysing silences for boundary refinement...");
+  const { silences } = detectSilences(
+    inputWav,
+    Number(options.noise ?? -40),
+    Number(options["min-silence"] ?? 0.03)
+  );
+  const refined = refineSegments(segments, silences, {
+    window: options.window,
+    lead: options.lead,
+    tail: options.tail,
+  });
+  const moved = refined.filter(
+    (seg) => seg.refined_start !== seg.start || seg.refined_end !== seg.end
+  ).length;
+  log(`Refined ${moved}/${refined.length} segment boundaries`);
+  ensureDir(path.dirname(outputSegmentsJson));
+  writeSegmentsJson(outputSegmentsJson, refined);
+  return refined;
 }
 
-async function commandAnki(args, flags) {
-  if (args.length < 3) usage(), process.exit(1);
-  const [segmentsJson, clipsDir, outputApkg] = args;
-  const deckName = flags["deck-name"] || "Italian Podcast";
-  const episode = flags.episode || "";
-  const segments = readJson(segmentsJson);
+async function vocab(inputWordsJson, segmentsJson, inputMedia, clipsDir, outputApkg, options = {}) {
+  const deckName = options["deck-name"] || "Italian Podcast";
+  if (options.cards || options.cloze) {
+    throw new UsageError(
+      "--cards and --cloze do not apply to vocab decks, which always use the vocab note type"
+    );
+  }
+  // The episode prefixes media names, so two episodes' word clips never collide in Anki.
+  const episode = options.episode || episodeName(inputMedia);
+  const wordsJson = readWordsJson(inputWordsJson);
+  const segments = readSegmentsJson(segmentsJson);
+
+  const profile = languageProfile(options.language || wordsJson.language, options["language-file"]);
+  const stopwords = new Set(profile.stopwords);
+  if (options.stopwords) {
+    for (const word of readWordList(options.stopwords)) stopwords.add(word);
+  }
+  let vocab = buildVocab(wordsJson, segments, {
+    lemmas: options.lemmas ? readJson(options.lemmas) : {},
+    profile,
+    stopwords,
+    minCount: options["min-count"],
+  });
+  if (options.limit) vocab = vocab.slice(0, Number(options.limit));
+
   ensureDir(path.dirname(outputApkg));
-  buildApkg(segments, clipsDir, outputApkg, deckName, episode);
+  writeJson(path.join(path.dirname(outputApkg), "vocab.json"), vocab);
+
+  const wordClipsDir = path.join(clipsDir, "words");
+  ensureDir(wordClipsDir);
+  const audio = audioOptionsFromFlags(options);
+  if (audio.loudness != null) audio.measured = measureLoudness(inputMedia, audio.loudness);
+  const segmentsById = new Map(segments.map((seg) => [seg.id, seg]));
+  const notes = [];
+  for (const entry of vocab) {
+    const seg = segmentsById.get(entry.example);
+    const exampleFile = findClip(clipsDir, seg.id);
+    if (!exampleFile) continue;
+    const examplePath = path.join(clipsDir, exampleFile);
+
+    const wordFile = `word_${String(entry.word_index).padStart(6, "0")}${audio.ext}`;
+    const wordPath = path.join(wordClipsDir, wordFile);
+    run("ffmpeg", clipArgs(inputMedia, entry.start, entry.end, wordPath, true, audio));
+
+    const exampleName = mediaName(episode, exampleFile);
+    const wordName = mediaName(episode, wordFile);
+    notes.push({
+      guid: crypto.createHash("sha1").update(`${deckName}|${episode}|vocab|${entry.lemma}`).digest("hex"),
+      values: {
+        Word: entry.lemma,
+        Forms: entry.forms.join(", "),
+        Count: String(entry.count),
+        WordAudio: `[sound:${wordName}]`,
+        Example: seg.text,
+        ExampleAudio: `[sound:${exampleName}]`,
+        Translation: seg.translation || "",
+        Episode: episode,
+      },
+      media: [
+        { path: wordPath, name: wordName },
+        { path: examplePath, name: exampleName },
+      ],
+    });
+  }
+
+  log(`Writing ${notes.length} word cards (${vocab.length} words in frequency list)`);
+  writeApkg(notes, outputApkg, deckName, VOCAB_NOTE_TYPE);
+  return { deckPath: outputApkg, notes: notes.length };
+}
+
+function formatTimestamp(seconds, fractionSeparator) {
+  const totalMs = Math.max(0, Math.round(Number(seconds) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return (
+    `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:` +
+    `${String(secs).padStart(2, "0")}${fractionSeparator}${String(ms).padStart(3, "0")}`
+  );
+}
+
+function formatLrcTimestamp(seconds) {
+  const totalCs = Math.max(0, Math.round(Number(seconds) * 100));
+  const minutes = Math.floor(totalCs / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const cs = totalCs % 100;
+  return `[${String(minutes).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(cs).padStart(2, "0")}]`;
+}
+
+function subtitleCues(input, wordsJson) {
+  const words = wordsJson ? wordsJson.words || [] : [];
+  const segments = Array.isArray(input) ? input : segmentWords(input, {});
+  return segments.map((seg) => ({
+    start: seg.start,
+    end: seg.end,
+    text: seg.text,
+    words: (seg.word_indices || []).map((i) => words[i]).filter(Boolean),
+  }));
+}
+
+function renderSrt(cues) {
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+function escapeVtt(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Puts word timings on the cue's display text, the same text SRT and LRC show. Fillers dropped
+// from the text are skipped; if the text was edited so its words no longer match, it goes untimed.
+function timedVttText(cue) {
+  const tokens = cue.text.split(/\s+/).filter(Boolean);
+  let next = 0;
+  const parts = [];
+  for (const token of tokens) {
+    const norm = normalizeToken(token);
+    let time = null;
+    if (norm) {
+      while (next < cue.words.length && normalizeToken(cue.words[next].w) !== norm) next += 1;
+      if (next === cue.words.length) return escapeVtt(cue.text);
+      time = cue.words[next].start;
+      next += 1;
+    }
+    const text = escapeVtt(token);
+    parts.push(parts.length > 0 && time != null ? `<${formatTimestamp(time, ".")}>${text}` : text);
+  }
+  return parts.join(" ");
+}
+
+function renderVtt(cues) {
+  const blocks = cues.map((cue) => {
+    const text = cue.words.length > 0 ? timedVttText(cue) : escapeVtt(cue.text);
+    return `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${text}\n`;
+  });
+  return ["WEBVTT\n"].concat(blocks).join("\n");
+}
+
+function renderLrc(cues) {
+  return cues.map((cue) => `${formatLrcTimestamp(cue.start)}${cue.text}\n`).join("");
+}
+
+const SUBTITLE_RENDERERS = { srt: renderSrt, vtt: renderVtt, lrc: renderLrc };
+
+function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+  if (!match) return null;
+  const [, hours, minutes, secs, fraction] = match;
+  return (
+    Number(hours || 0) * 3600 +
+    Number(minutes) * 60 +
+    Number(secs) +
+    Number(fraction.padEnd(3, "0")) / 1000
+  );
+}
+
+function parseSubtitles(text) {
+  const cues = [];
+  const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((line) => line.trim() !== "");
+    const timeIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timeIndex < 0) continue;
+    const [fromText, toText] = lines[timeIndex].split("-->");
+    const start = parseTimestamp(fromText);
+    const end = parseTimestamp(toText.trim().split(/\s+/)[0]);
+    if (start == null || end == null) continue;
+    const cueText = lines
+      .slice(timeIndex + 1)
+      .join(" ")
+      .replace(/<[^>]*>/g, "")
+      .replace(/\{\\[^}]*\}/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!cueText) continue;
+    cues.push({ start, end, text: cueText });
+  }
+  return cues;
+}
+
+function subtitlesToSegments(cues, fillers = languageProfile().fillers) {
+  return cues.map((cue, i) => {
+    const seg = {
+      id: `seg_${String(i + 1).padStart(5, "0")}`,
+      start: cue.start,
+      end: cue.end,
+      text: stripFillers(cue.text.split(" "), fillers),
+      raw_text: cue.text,
+      word_indices: [],
+    };
+    seg.key = segmentKey(seg);
+    return seg;
+  });
+}
+
+async function exportSubs(inputJson, outputBase, options = {}) {
+  const data = readJson(inputJson);
+  const fromSegments = isSegmentsData(data);
+  const input = fromSegments ? validateSegments(data, inputJson) : validateWordsJson(data, inputJson);
+  const wordsJson = fromSegments
+    ? options.words
+      ? readWordsJson(options.words)
+      : null
+    : input;
+  const formats = (typeof options.formats === "string" ? options.formats : "srt,vtt,lrc")
+    .split(",")
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+
+  const cues = subtitleCues(input, wordsJson);
+  const base = outputBase.replace(/\.(srt|vtt|lrc)$/i, "");
+  ensureDir(path.dirname(base));
+  const written = [];
+  for (const format of formats) {
+    const render = SUBTITLE_RENDERERS[format];
+    if (!render) {
+      throw new UsageError(
+        `Unknown subtitle format "${format}". Expected one of: ${Object.keys(SUBTITLE_RENDERERS).join(", ")}`
+      );
+    }
+    const outPath = `${base}.${format}`;
+    fs.writeFileSync(outPath, render(cues), "utf8");
+    log(`Wrote ${cues.length} cues to ${outPath}`);
+    written.push(outPath);
+  }
+  return written;
+}
+
+async function importSubs(inputSubs, outputSegmentsJson, options = {}) {
+  const cues = parseSubtitles(fs.readFileSync(inputSubs, "utf8"));
+  if (cues.length === 0) {
+    throw new InputError(`No subtitle cues found in ${inputSubs}`);
+  }
+  ensureDir(path.dirname(outputSegmentsJson));
+  const profile = languageProfile(options.language, options["language-file"]);
+  const segments = subtitlesToSegments(cues, profile.fillers);
+  writeSegmentsJson(outputSegmentsJson, segments);
+  return segments;
+}
+
+function nextSegmentId(segments) {
+  let max = 0;
+  for (const seg of segments) {
+    const match = /^seg_(\d+)$/.exec(seg.id);
+    if (match) max = Math.max(max, Number(match[1]));
+  }
+  return `seg_${String(max + 1).padStart(5, "0")}`;
+}
+
+function segmentFromWords(words, indices, fillers) {
+  const rawWords = indices.map((i) => words[i].w);
+  return {
+    start: words[indices[0]].start,
+    end: words[indices[indices.length - 1]].end,
+    text: stripFillers(rawWords, fillers),
+    raw_text: joinWords(rawWords),
+    word_indices: indices,
+    confidence: segmentConfidence(words, indices),
+  };
+}
+
+// Applies one review edit in place and reports which segments need new clips.
+function applySegmentEdit(segments, words, edit, options = {}) {
+  const index = segments.findIndex((seg) => seg.id === edit.id);
+  if (index < 0) throw new UsageError(`Unknown segment "${edit.id}"`);
+  const seg = segments[index];
+
+  if (edit.op === "text") {
+    if (typeof edit.text !== "string") throw new UsageError("Missing text");
+    seg.text = edit.text.trim();
+    // Correcting the text is what a low-confidence flag asks for.
+    delete seg.needs_check;
+    return { changed: [], removed: [], retext: [seg.id] };
+  }
+
+  if (edit.op === "nudge") {
+    // Manual timing wins over refine, so the clip range is the edited range.
+    const range = clipRange(seg);
+    const start = Math.max(0, range.start + Number(edit.start || 0));
+    const end = range.end + Number(edit.end || 0);
+    if (!(end > start)) throw new UsageError(`Segment ${seg.id} would end before it starts`);
+    seg.start = Number(start.toFixed(3));
+    seg.end = Number(end.toFixed(3));
+    delete seg.refined_start;
+    delete seg.refined_end;
+    return { changed: [seg.id], removed: [], retext: [] };
+  }
+
+  if (edit.op === "delete") {
+    segments.splice(index, 1);
+    return { changed: [], removed: [seg.id], retext: [] };
+  }
+
+  if (edit.op === "merge") {
+    const next = segments[index + 1];
+    if (!next) throw new UsageError(`Segment ${seg.id} has no following segment to merge with`);
+    seg.start = Math.min(seg.start, next.start);
+    seg.end = Math.max(seg.end, next.end);
+    if (seg.refined_start != null || next.refined_end != null) {
+      seg.refined_start = clipRange(seg).start;
+      seg.refined_end = clipRange(next).end;
+    }
+    seg.text = [seg.text, next.text].filter(Boolean).join(" ");
+    seg.raw_text = [seg.raw_text, next.raw_text].filter(Boolean).join(" ");
+    seg.word_indices = (seg.word_indices || []).concat(next.word_indices || []);
+    const confidence = segmentConfidence(words, seg.word_indices);
+    if (confidence != null) seg.confidence = confidence;
+    if (next.needs_check) seg.needs_check = true;
+    if (seg.translation || next.translation) {
+      seg.translation = [seg.translation, next.translation].filter(Boolean).join(" ");
+    }
+    segments.splice(index + 1, 1);
+    return { changed: [seg.id], removed: [next.id], retext: [] };
+  }
+
+  if (edit.op === "split") {
+    const indices = seg.word_indices || [];
+    const at = Number(edit.at);
+    if (indices.length === 0) {
+      throw new UsageError(`Segment ${seg.id} has no word timings to split on`);
+    }
+    if (!Number.isInteger(at) || at <= 0 || at >= indices.length) {
+      throw new UsageError(`Split point must be between 1 and ${indices.length - 1}`);
+    }
+    const fillers = options.fillers || languageProfile().fillers;
+    const first = segmentFromWords(words, indices.slice(0, at), fillers);
+    const second = segmentFromWords(words, indices.slice(at), fillers);
+    const tail = {
+      id: nextSegmentId(segments),
+      ...second,
+      key: segmentKey(second),
+      ...(seg.speaker != null ? { speaker: seg.speaker } : {}),
+      ...(seg.needs_check ? { needs_check: true } : {}),
+    };
+    // The first half keeps its key so the existing Anki note is updated in place.
+    Object.assign(seg, first);
+    delete seg.refined_start;
+    delete seg.refined_end;
+    delete seg.translation;
+    if (Array.isArray(options.translation)) alignTranslation([seg, tail], options.translation);
+    segments.splice(index + 1, 0, tail);
+    return { changed: [seg.id, tail.id], removed: [], retext: [] };
+  }
+
+  throw new UsageError(
+    `Unknown edit "${edit.op}". Expected one of: text, nudge, merge, split, delete`
+  );
+}
+
+function removeSegmentFiles(clipsDir, id) {
+  for (const ext of [...CLIP_EXTENSIONS, ".txt", ".jpg", ".mp4"]) {
+    fs.rmSync(path.join(clipsDir, `${id}${ext}`), { force: true });
+  }
+}
+
+const MEDIA_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".aac": "audio/aac",
+  ".wav": "audio/wav",
+  ".flac": "audio/flac",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".mov": "video/quicktime",
+};
+
+function serveMedia(req, res, file) {
+  const size = fs.statSync(file).size;
+  const type = MEDIA_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (!range || (!range[1] && !range[2])) {
+    res.writeHead(200, { "Content-Type": type, "Content-Length": size, "Accept-Ranges": "bytes" });
+    fs.createReadStream(file).pipe(res);
+    return;
+  }
+  const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  if (start >= size || start > end) {
+    res.writeHead(416, { "Content-Range": `bytes */${size}` });
+    res.end();
+    return;
+  }
+  res.writeHead(206, {
+    "Content-Type": type,
+    "Content-Length": end - start + 1,
+    "Content-Range": `bytes ${start}-${end}/${size}`,
+    "Accept-Ranges": "bytes",
+  });
+  fs.createReadStream(file, { start, end }).pipe(res);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const REVIEW_HTML = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Segment review</title>
+<style>
+body { font-family: sans-serif; margin: 0 auto; max-width: 900px; padding: 16px; }
+.seg { border-bottom: 1px solid #ddd; padding: 10px 0; }
+.seg.playing { background: #fffbe6; }
+.meta { color: #666; font-size: 13px; margin-bottom: 6px; }
+.meta button { margin-left: 4px; }
+textarea { width: 100%; font-size: 16px; box-sizing: border-box; }
+.words span { cursor: pointer; padding: 0 2px; }
+.words span:hover { background: #e0ecff; }
+.words { font-size: 13px; color: #444; margin-top: 4px; }
+#status { position: sticky; top: 0; background: #fff; padding: 4px 0; color: #666; }
+</style>
+</head>
+<body>
+<h1>Segment review</h1>
+<div id="status">Loading...</div>
+<div id="list"></div>
+<script>
+const audio = new Audio("/media");
+let words = [];
+let segments = [];
+let stopAt = null;
+let playingId = null;
+
+audio.addEventListener("timeupdate", () => {
+  if (stopAt !== null && audio.currentTime >= stopAt) {
+    audio.pause();
+    stopAt = null;
+    setPlaying(null);
+  }
+});
+
+function setPlaying(id) {
+  playingId = id;
+  document.querySelectorAll(".seg").forEach((el) => el.classList.toggle("playing", el.dataset.id === id));
+}
+
+function range(seg) {
+  return { start: seg.refined_start ?? seg.start, end: seg.refined_end ?? seg.end };
+}
+
+function play(seg) {
+  const r = range(seg);
+  audio.currentTime = r.start;
+  stopAt = r.end;
+  setPlaying(seg.id);
+  audio.play();
+}
+
+async function edit(body) {
+  document.getElementById("status").textContent = "Saving...";
+  const res = await fetch("/api/edit", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    document.getElementById("status").textContent = data.error;
+    return;
+  }
+  segments = data.segments;
+  render();
+  document.getElementById("status").textContent = data.message;
+}
+
+function button(label, title, onClick) {
+  const b = document.createElement("button");
+  b.textContent = label;
+  b.title = title;
+  b.onclick = onClick;
+  return b;
+}
+
+function render() {
+  const list = document.getElementById("list");
+  list.textContent = "";
+  segments.forEach((seg, i) => {
+    const r = range(seg);
+    const row = document.createElement("div");
+    row.className = "seg";
+    row.dataset.id = seg.id;
+
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.append(seg.id + "  " + r.start.toFixed(2) + " - " + r.end.toFixed(2) + "s ");
+    if (seg.confidence != null) meta.append("conf " + seg.confidence.toFixed(2) + " ");
+    if (seg.needs_check) meta.append("[needs check] ");
+    meta.append(
+      button("Play", "Play from the source media", () => play(seg)),
+      button("Start -", "Start 0.1s earlier", () => edit({ op: "nudge", id: seg.id, start: -0.1 })),
+      button("Start +", "Start 0.1s later", () => edit({ op: "nudge", id: seg.id, start: 0.1 })),
+      button("End -", "End 0.1s earlier", () => edit({ op: "nudge", id: seg.id, end: -0.1 })),
+      button("End +", "End 0.1s later", () => edit({ op: "nudge", id: seg.id, end: 0.1 }))
+    );
+    if (i < segments.length - 1) {
+      meta.append(button("Merge next", "Merge with the following segment", () => edit({ op: "merge", id: seg.id })));
+    }
+    meta.append(
+      button("Delete", "Delete this segment", () => {
+        if (confirm("Delete " + seg.id + "?")) edit({ op: "delete", id: seg.id });
+      })
+    );
+    row.append(meta);
+
+    const text = document.createElement("textarea");
+    text.rows = 2;
+    text.value = seg.text;
+    text.onchange = () => edit({ op: "text", id: seg.id, text: text.value });
+    row.append(text);
+
+    const indices = seg.word_indices || [];
+    if (indices.length > 1) {
+      const line = document.createElement("div");
+      line.className = "words";
+      line.title = "Click a word to split the segment before it";
+      indices.forEach((wi, at) => {
+        const span = document.createElement("span");
+        span.textContent = words[wi] ? words[wi].w : "?";
+        if (at > 0) span.onclick = () => edit({ op: "split", id: seg.id, at });
+        line.append(span, " ");
+      });
+      row.append(line);
+    }
+    if (seg.translation) {
+      const tr = document.createElement("div");
+      tr.className = "meta";
+      tr.textContent = seg.translation;
+      row.append(tr);
+    }
+    list.append(row);
+  });
+}
+
+fetch("/api/segments")
+  .then((res) => res.json())
+  .then((data) => {
+    words = data.words;
+    segments = data.segments;
+    render();
+    document.getElementById("status").textContent = segments.length + " segments";
+  });
+</script>
+</body>
+</html>
+`;
+
+async function review(inputWordsJson, segmentsJson, inputMedia, clipsDir, options = {}) {
+  const wordsJson = readWordsJson(inputWordsJson);
+  const words = wordsJson.words || [];
+  const segments = readSegmentsJson(segmentsJson);
+  const profile = languageProfile(options.language || wordsJson.language, options["language-file"]);
+  const audio = audioOptionsFromFlags(options);
+  const port = Number(options.port ?? 8765);
+  ensureDir(clipsDir);
+
+  if (audio.loudness != null) {
+    log(`Measuring loudness (target ${audio.loudness} LUFS)...`);
+    audio.measured = measureLoudness(inputMedia, audio.loudness);
+  }
+
+  // Re-cut only what an edit touched; screenshots and video clips follow if the clips dir has them.
+  const existing = fs.readdirSync(clipsDir);
+  const cutOptions = {
+    audio,
+    reencode: true,
+    screenshot: Boolean(options.screenshot) || existing.some((f) => f.endsWith(".jpg")),
+    video: Boolean(options.video) || existing.some((f) => f.endsWith(".mp4")),
+  };
+
+  // The edit is applied to a copy and its clips are cut into a staging dir. Only once ffmpeg has
+  // succeeded do the clips replace the old ones and segments.json get written.
+  async function applyEdit(edit) {
+    const edited = JSON.parse(JSON.stringify(segments));
+    const result = applySegmentEdit(edited, words, edit, {
+      fillers: profile.fillers,
+      translation: wordsJson.translation,
+    });
+    const stagingDir = fs.mkdtempSync(path.join(clipsDir, ".edit-"));
+    try {
+      for (const id of result.changed) {
+        const seg = edited.find((s) => s.id === id);
+        const exec = (argsList) => runAsync("ffmpeg", argsList);
+        await cutSegment(exec, inputMedia, seg, stagingDir, cutOptions);
+      }
+      for (const id of [...result.removed, ...result.changed]) removeSegmentFiles(clipsDir, id);
+      for (const file of fs.readdirSync(stagingDir)) {
+        fs.renameSync(path.join(stagingDir, file), path.join(clipsDir, file));
+      }
+    } finally {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+    for (const id of [...result.changed, ...result.retext]) {
+      const seg = edited.find((s) => s.id === id);
+      fs.writeFileSync(path.join(clipsDir, `${seg.id}.txt`), seg.text + "\n", "utf8");
+    }
+    writeSegmentsJson(segmentsJson, edited);
+    segments.splice(0, segments.length, ...edited);
+    const parts = [`${edit.op} ${edit.id}`];
+    if (result.changed.length > 0) parts.push(`re-cut ${result.changed.join(", ")}`);
+    if (result.removed.length > 0) parts.push(`removed ${result.removed.join(", ")}`);
+    return parts.join("; ");
+  }
+
+  // Edits run one at a time so two quick clicks cannot interleave their writes.
+  let queue = Promise.resolve();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(REVIEW_HTML);
+      return;
+    }
+    if (req.method === "GET" && url.pathname === "/media") {
+      serveMedia(req, res, inputMedia);
+      return;
+    }
+    if (req.method === "GET" && url.pathname === "/api/segments") {
+      sendJson(res, 200, { segments, words: words.map((w) => ({ w: w.w, start: w.start, end: w.end })) });
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/api/edit") {
+      queue = queue
+        .then(() => readRequestBody(req))
+        .then((body) => applyEdit(JSON.parse(body || "{}")))
+        .then((message) => {
+          log(message);
+          sendJson(res, 200, { segments, message });
+        })
+        .catch((err) => sendJson(res, 400, { error: err.message || String(err) }));
+      return;
+    }
+    sendJson(res, 404, { error: "Not found" });
+  });
+
+  const host = options.host || "127.0.0.1";
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  log(`Reviewing ${segments.length} segments at http://${host}:${port}/ (Ctrl+C to stop)`);
+  return server;
+}
+
+function parseSpeakerList(value) {
+  if (value == null || value === true) return null;
+  return String(value)
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((v) => Number.isInteger(v) && v > 0);
+}
+
+// Every deck command reads its flags through here, so they all reject the same --cards and
+// --cloze combinations, and before any slow step runs.
+function deckOptionsFromFlags(flags) {
+  const options = {
+    cards:
+      typeof flags.cards === "string"
+        ? flags.cards
+            .split(",")
+            .map((c) => c.trim())
+            .filter(Boolean)
+        : null,
+    templatesDir: typeof flags.templates === "string" ? flags.templates : null,
+    includeSpeakers: parseSpeakerList(flags["include-speakers"]),
+    excludeSpeakers: parseSpeakerList(flags["exclude-speakers"]),
+    speakerNames:
+      typeof flags["speaker-names"] === "string"
+        ? flags["speaker-names"].split(",").map((n) => n.trim())
+        : [],
+    minConfidence: minConfidenceFromFlags(flags),
+    tags: typeof flags.tags === "string" ? flags.tags.split(/[\s,]+/).filter(Boolean) : [],
+    model: typeof flags.model === "string" ? path.basename(flags.model) : null,
+    cloze: flags.cloze === true ? "rarest" : flags.cloze || null,
+    clozeWords: typeof flags["cloze-words"] === "string" ? flags["cloze-words"] : null,
+    languageFile: typeof flags["language-file"] === "string" ? flags["language-file"] : null,
+    update: Boolean(flags.update),
+  };
+  loadNoteType(options.cards, options.templatesDir, options.cloze);
+  return options;
+}
+
+// Pins a key into segments written before keys existed, so later edits keep matching notes.
+function pinSegmentKeys(segments, segmentsJson) {
+  let pinned = 0;
+  for (const seg of segments) {
+    if (seg.key) continue;
+    seg.key = segmentKey(seg);
+    pinned += 1;
+  }
+  if (pinned > 0) {
+    writeSegmentsJson(segmentsJson, segments);
+    log(`Pinned note keys for ${pinned} segments in ${segmentsJson}`);
+  }
+}
+
+// Without --episode, name the episode the way full-default does: after the source media, or
+// after the directory holding segments.json, which full-default names after the media.
+function ankiEpisode(segments, segmentsJson, clipsDir, options) {
+  const source = typeof options.source === "string" ? options.source : null;
+  return {
+    segments: applyKnownFilter(segments, options),
+    words: typeof options.words === "string" ? readWordsJson(options.words).words : null,
+    clipsDir,
+    episode:
+      options.episode ||
+      (source ? episodeName(source) : path.basename(path.dirname(path.resolve(segmentsJson)))),
+    source: source ? path.basename(source) : null,
+    language: typeof options.language === "string" ? options.language : null,
+  };
+}
+
+async function anki(segmentsJson, clipsDir, outputApkg, options = {}) {
+  const deckName = options["deck-name"] || "Italian Podcast";
+  const deckOptions = deckOptionsFromFlags(options);
+  const segments = readSegmentsJson(segmentsJson);
+  if (options.update) pinSegmentKeys(segments, segmentsJson);
+  ensureDir(path.dirname(outputApkg));
+  return buildApkg(
+    [ankiEpisode(segments, segmentsJson, clipsDir, options)],
+    outputApkg,
+    deckName,
+    deckOptions
+  );
+}
+
+async function ankiconnect(segmentsJson, clipsDir, options = {}) {
+  const deckName = options["deck-name"] || "Italian Podcast";
+  const deckOptions = deckOptionsFromFlags(options);
+  const segments = readSegmentsJson(segmentsJson);
+  if (options.update) pinSegmentKeys(segments, segmentsJson);
+  return pushToAnki([ankiEpisode(segments, segmentsJson, clipsDir, options)], deckName, {
+    ...deckOptions,
+    url: options["ankiconnect-url"],
+    onProgress: options.onProgress,
+  });
+}
+
+async function verify(inputApkg, options = {}) {
+  const report = checkApkg(inputApkg);
+  log(`${inputApkg}: ${report.notes} notes, ${report.cards} cards, ${report.media} media files`);
+  for (const problem of report.problems.slice(0, 50)) log(`  ${problem}`);
+  if (report.problems.length > 50) log(`  ...and ${report.problems.length - 50} more`);
+  const count = report.problems.length;
+  log(count === 0 ? "Deck is consistent." : `${count} problem${count === 1 ? "" : "s"} found.`);
+  return { ...report, ok: report.problems.length === 0 };
+}
+
+const DOCTOR_TOOLS = [
+  {
+    cmd: "ffmpeg",
+    args: ["-version"],
+    fix: "Install ffmpeg (brew install ffmpeg / apt install ffmpeg).",
+  },
+];
+
+function probeTool(cmd, cmdArgs) {
+  const res = spawnSync(cmd, cmdArgs, { encoding: "utf8" });
+  if (res.error) return null;
+  const output = `${res.stdout || ""}\n${res.stderr || ""}`;
+  const lines = output.split("\n").map((l) => l.trim());
+  const line = lines.find((l) => /\d+\.\d+/.test(l)) || lines.find(Boolean) || "";
+  return { status: res.status, output, version: line.slice(0, 80) };
+}
+
+async function doctor(options = {}) {
+  const checks = [];
+  const check = (level, name, detail, fix) => {
+    checks.push({ level, name, detail, fix: fix || null });
+    const label = level === "ok" ? "ok  " : level === "warn" ? "warn" : "FAIL";
+    log(`[${label}] ${name}: ${detail}`);
+    if (fix && level !== "ok") log(`       fix: ${fix}`);
+  };
+
+  for (const tool of DOCTOR_TOOLS) {
+    const probe = probeTool(tool.cmd, tool.args);
+    if (probe) check("ok", tool.cmd, probe.version || "found");
+    else check(tool.optional ? "warn" : "fail", tool.cmd, "not found on PATH", tool.fix);
+  }
+
+  const whisperBin = resolveWhisperBin(options["whisper-bin"]);
+  const whisperFix = options["whisper-bin"]
+    ? "Check the --whisper-bin path."
+    : "Run ./setup-whisper.sh or pass --whisper-bin <path>.";
+  let whisperHelp = null;
+  if (!fs.existsSync(whisperBin)) {
+    check("fail", "whisper-cli", `not found at ${whisperBin}`, whisperFix);
+  } else {
+    const probe = probeTool(whisperBin, ["-h"]);
+    if (!probe) {
+      const fix = `chmod +x ${whisperBin} or rebuild it.`;
+      check("fail", "whisper-cli", `${whisperBin} could not be run`, fix);
+    } else {
+      whisperHelp = probe.output;
+      check("ok", "whisper-cli", `${whisperBin} (${toolVersion(whisperBin)})`);
+      const flagsUsed = ["-ojf", "-dtw", "-tdrz", "-pp"];
+      const missing = flagsUsed.filter((f) => !new RegExp(`\\s${f}[\\s,]`).test(whisperHelp));
+      if (missing.length > 0) {
+        check(
+          "warn",
+          "whisper-cli flags",
+          `no support for ${missing.join(", ")}`,
+          "Update whisper.cpp: ./setup-whisper.sh"
+        );
+      }
+    }
+  }
+
+  const modelsDir = path.join(process.cwd(), "whisper.cpp", "models");
+  const installed = fs.existsSync(modelsDir)
+    ? fs.readdirSync(modelsDir).filter((name) => /^ggml-.+\.bin$/.test(name)).sort()
+    : [];
+  if (installed.length > 0) {
+    const sizes = installed.map((name) => {
+      const mb = fs.statSync(path.join(modelsDir, name)).size / (1024 * 1024);
+      return `${name} (${mb.toFixed(0)} MB)`;
+    });
+    check("ok", "models", sizes.join(", "));
+  } else {
+    const fix = "node pipeline.js download-model base";
+    check("warn", "models", `no ggml models in ${modelsDir}`, fix);
+  }
+
+  const modelPath = resolveModelPath(options.model);
+  if (fs.existsSync(modelPath)) {
+    check("ok", "model", modelPath);
+  } else {
+    const name = path.basename(modelPath).replace(/^ggml-|\.bin$/g, "");
+    const named = modelPath === resolveModelPath(name);
+    check(
+      named ? "warn" : "fail",
+      "model",
+      `${modelPath} is missing${named ? " (full-default and batch download it on first use)" : ""}`,
+      named ? `node pipeline.js download-model ${name}` : "Check the --model path."
+    );
+  }
+
+  const extra = options.extra ? String(options.extra).split(" ") : [];
+  const preset = dtwPresetFor(modelPath);
+  if (extra.includes("-dtw") || extra.includes("--dtw")) {
+    check("ok", "dtw", "preset set via --extra");
+  } else if (!preset) {
+    check(
+      "warn",
+      "dtw",
+      `no DTW preset for ${path.basename(modelPath)}; word timestamps will be less precise`,
+      `Use a standard model name or pass --extra "-dtw <preset>" (${[...DTW_PRESETS].join(", ")}).`
+    );
+  } else if (whisperHelp && !/\s-dtw[\s,]/.test(whisperHelp)) {
+    const detail = `preset ${preset}, but this whisper-cli has no -dtw`;
+    check("warn", "dtw", detail, "Update whisper.cpp: ./setup-whisper.sh");
+  } else {
+    check("ok", "dtw", `preset ${preset}`);
+  }
+
+  const ok = checks.every((c) => c.level !== "fail");
+  log(ok ? "All required checks passed." : "Some required checks failed.");
+  return { ok, checks };
+}
+
+// The CLI maps positional arguments onto the step functions; flags are passed through as options.
+const COMMANDS = {
+  "full-default": { minArgs: 1, run: (args, flags) => fullDefault(args[0], flags) },
+  batch: { minArgs: 1, run: (args, flags) => batch(args, flags) },
+  "download-model": { minArgs: 1, run: (args, flags) => downloadModel(args[0], args[1], flags) },
+  preprocess: { minArgs: 2, run: (args, flags) => preprocess(args[0], args[1], flags) },
+  transcribe: { minArgs: 2, run: (args, flags) => transcribe(args[0], args[1], flags) },
+  segment: { minArgs: 2, run: (args, flags) => segment(args[0], args[1], flags) },
+  refine: { minArgs: 2, run: (args, flags) => refine(args[0], args[1], args[2], flags) },
+  clip: { minArgs: 3, run: (args, flags) => clip(args[0], args[1], args[2], flags) },
+  anki: { minArgs: 3, run: (args, flags) => anki(args[0], args[1], args[2], flags) },
+  ankiconnect: {
+    minArgs: 2,
+    run: async (args, flags) => {
+      const report = await ankiconnect(args[0], args[1], flags);
+      if (report.failed > 0) process.exitCode = 1;
+    },
+  },
+  vocab: { minArgs: 5, run: (args, flags) => vocab(...args.slice(0, 5), flags) },
+  "export-subs": { minArgs: 2, run: (args, flags) => exportSubs(args[0], args[1], flags) },
+  "import-subs": { minArgs: 2, run: (args, flags) => importSubs(args[0], args[1], flags) },
+  review: { minArgs: 4, run: (args, flags) => review(...args.slice(0, 4), flags) },
+  verify: {
+    minArgs: 1,
+    run: async (args, flags) => {
+      const report = await verify(args[0], flags);
+      if (!report.ok) process.exitCode = 1;
+    },
+  },
+  doctor: {
+    minArgs: 0,
+    run: async (args, flags) => {
+      const report = await doctor(flags);
+      if (!report.ok) process.exitCode = 1;
+    },
+  },
+};
+
+function printProgress(event) {
+  if (event.percent != null) {
+    const label = event.pass === "translate" ? "Translating" : "Transcribing";
+    if (event.percent % 10 === 0) log(`${label}: ${event.percent}%`);
+  } else if (event.chunk != null) {
+    const state = event.cached ? "cached" : "transcribed";
+    log(`Chunk ${event.chunk}/${event.total} ${state} (${event.done}/${event.total} done)`);
+  } else if (event.step === "clip" && event.done != null) {
+    if (event.done % 50 !== 0 && event.done !== event.total) return;
+    log(`Clipped ${event.done}/${event.total} segments`);
+  }
 }
 
 async function main() {
   const [, , cmd, ...rest] = process.argv;
-  const { args, flags } = parseArgs(rest);
+  const { args, flags: cliFlags } = parseArgs(rest);
+  const command = COMMANDS[cmd];
 
-  if (!cmd || cmd === "-h" || cmd === "--help") {
+  if (!command) {
     usage();
     return;
   }
+  if (args.length < command.minArgs) usage(), process.exit(1);
 
   try {
-    if (cmd === "full-default") return commandFullDefault(args, flags);
-    if (cmd === "download-model") return commandDownloadModel(args, flags);
-    if (cmd === "preprocess") return commandPreprocess(args, flags);
-    if (cmd === "transcribe") return commandTranscribe(args, flags);
-    if (cmd === "segment") return commandSegment(args, flags);
-    if (cmd === "clip") return commandClip(args, flags);
-    if (cmd === "anki") return commandAnki(args, flags);
-    usage();
+    const flags = applyConfig(cliFlags);
+    await command.run(args, { ...flags, onProgress: printProgress });
   } catch (err) {
     console.error(err.message || err);
     process.exit(1);
   }
 }
 
-main();
+module.exports = {
+  fullDefault,
+  batch,
+  downloadModel,
+  preprocess,
+  transcribe,
+  segment,
+  refine,
+  clip,
+  anki,
+  ankiconnect,
+  vocab,
+  exportSubs,
+  importSubs,
+  review,
+  verify,
+  doctor,
+  parseArgs,
+  applyConfig,
+  segmentWords,
+  refineSegments,
+  validateWordsJson,
+  validateSegments,
+  buildWordsJson,
+  buildApkg,
+  writeApkg,
+  pushToAnki,
+  readApkg,
+  writeSqliteDb,
+  openSqlite,
+  sqliteRows,
+  createZipWriter,
+  applySegmentEdit,
+  clozeSelector,
+  clozeText,
+  clozeOrdinals,
+  languageProfile,
+  loadKnownWords,
+  parseSubtitles,
+  setLogger,
+  PipelineError,
+  UsageError,
+  InputError,
+  CommandError,
+};
+
+if (require.main === module) main();
@@ -0,0 +1,120 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { anki, buildApkg, readApkg, sqliteRows } = require("../pipeline");
+const { quietLogs, makeEpisode } = require("./helpers");
+
+// Notes in segment order; the table itself is ordered by note id.
+function deckNotes(apkg, segments) {
+  const notes = sqliteRows(readApkg(apkg).db, "notes");
+  return segments.map((seg) => notes.find((note) => note.flds.startsWith(`${seg.text}\u001f`)));
+}
+
+let dir;
+
+quietLogs();
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-anki-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("editing a segment's text keeps its note GUID", () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Oggi parliamo di cucina."]);
+  const apkg = path.join(dir, "deck.apkg");
+  buildApkg([ep], apkg, "Pod");
+  const first = deckNotes(apkg, ep.segments);
+
+  ep.segments[1].text = "Oggi parliamo della cucina.";
+  ep.segments[1].end += 0.4;
+  buildApkg([ep], apkg, "Pod");
+  const second = deckNotes(apkg, ep.segments);
+
+  assert.deepEqual(
+    second.map((n) => n.guid),
+    first.map((n) => n.guid)
+  );
+  assert.deepEqual(
+    second.map((n) => n.id),
+    first.map((n) => n.id)
+  );
+  assert.match(second[1].flds, /^Oggi parliamo della cucina\./);
+});
+
+test("--update keeps the mod time of unchanged notes so Anki only updates edited ones", () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Oggi parliamo di cucina."]);
+  const apkg = path.join(dir, "deck.apkg");
+  const realNow = Date.now;
+  Date.now = () => Date.UTC(2020, 0, 1);
+  try {
+    buildApkg([ep], apkg, "Pod");
+  } finally {
+    Date.now = realNow;
+  }
+  const first = deckNotes(apkg, ep.segments);
+
+  ep.segments[1].text = "Oggi parliamo della cucina.";
+  const result = buildApkg([ep], apkg, "Pod", { update: true });
+  const second = deckNotes(apkg, ep.segments);
+
+  assert.equal(result.unchanged, 1);
+  assert.equal(second[0].mod, first[0].mod);
+  assert.ok(second[1].mod > first[1].mod);
+});
+
+test("without --update every note gets a new mod time", () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti."]);
+  const apkg = path.join(dir, "deck.apkg");
+  const realNow = Date.now;
+  Date.now = () => Date.UTC(2020, 0, 1);
+  try {
+    buildApkg([ep], apkg, "Pod");
+  } finally {
+    Date.now = realNow;
+  }
+
+  const result = buildApkg([ep], apkg, "Pod");
+
+  assert.equal(result.unchanged, 0);
+  assert.ok(deckNotes(apkg, ep.segments)[0].mod > Date.UTC(2020, 0, 1) / 1000);
+});
+
+test("the episode defaults to the --source basename or the segments folder", async () => {
+  const epDir = path.join(dir, "Puntata 1.5");
+  const ep = makeEpisode(epDir, ["Ciao a tutti."]);
+  const segmentsJson = path.join(epDir, "segments.json");
+  fs.writeFileSync(segmentsJson, JSON.stringify(ep.segments));
+  const apkg = path.join(dir, "deck.apkg");
+
+  await anki(segmentsJson, ep.clipsDir, apkg, { "deck-name": "Pod" });
+  assert.deepEqual(JSON.parse(readApkg(apkg).media), { 0: "Puntata_1_5_seg_00001.mp3" });
+  assert.match(deckNotes(apkg, ep.segments)[0].flds, /\u001fPuntata 1\.5\u001f/);
+
+  await anki(segmentsJson, ep.clipsDir, apkg, { "deck-name": "Pod", source: "/media/Ep 2.mp3" });
+  assert.deepEqual(JSON.parse(readApkg(apkg).media), { 0: "Ep_2_seg_00001.mp3" });
+});
+
+test("the note type id stays the same when the card set changes", () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti."]);
+  const listen = path.join(dir, "listen.apkg");
+  const both = path.join(dir, "both.apkg");
+  buildApkg([ep], listen, "Pod", { cards: ["listen"] });
+  buildApkg([ep], both, "Pod", { cards: ["listen", "read"] });
+  const cloze = path.join(dir, "cloze.apkg");
+  buildApkg([ep], cloze, "Pod", { cloze: "all" });
+
+  const [first, second, third] = [listen, both, cloze].map(
+    (apkg) => sqliteRows(readApkg(apkg).db, "notes")[0]
+  );
+  assert.equal(second.mid, first.mid);
+  assert.equal(second.guid, first.guid);
+  assert.notEqual(third.mid, first.mid);
+});
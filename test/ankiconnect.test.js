@@ -0,0 +1,253 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+
+const {
+  pushToAnki,
+  buildApkg,
+  readApkg,
+  sqliteRows,
+  CommandError,
+} = require("../pipeline");
+const { quietLogs, makeEpisode } = require("./helpers");
+
+// In-memory stand-in for the AnkiConnect add-on, speaking the same JSON protocol.
+function createMockAnki() {
+  const state = { decks: ["Default"], models: {}, notes: [], media: {}, calls: {}, failText: null };
+  let nextId = 1000;
+  const actions = {
+    version: () => 6,
+    deckNames: () => state.decks,
+    createDeck: ({ deck }) => {
+      state.decks.push(deck);
+      return nextId++;
+    },
+    modelNames: () => Object.keys(state.models),
+    createModel: ({ modelName, inOrderFields, cardTemplates, isCloze }) => {
+      const templates = cardTemplates.map((tmpl) => tmpl.Name);
+      state.models[modelName] = { fields: [...inOrderFields], templates, isCloze };
+      return {};
+    },
+    modelFieldNames: ({ modelName }) => state.models[modelName].fields,
+    modelFieldAdd: ({ modelName, fieldName, index }) => {
+      state.models[modelName].fields.splice(index, 0, fieldName);
+      return null;
+    },
+    modelTemplates: ({ modelName }) =>
+      Object.fromEntries(state.models[modelName].templates.map((name) => [name, {}])),
+    modelTemplateAdd: ({ modelName, template }) => {
+      state.models[modelName].templates.push(template.Name);
+      return null;
+    },
+    storeMediaFile: ({ filename, data }) => {
+      state.media[filename] = Buffer.from(data, "base64");
+      return filename;
+    },
+    getMediaFilesNames: ({ pattern = "*" }) => {
+      const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+      const glob = new RegExp(`^${escaped.replace(/\*/g, ".*")}$`);
+      return Object.keys(state.media).filter((name) => glob.test(name));
+    },
+    findNotes: ({ query }) => {
+      const tag = query.match(/tag:([^"\s]+)/)[1];
+      return state.notes.filter((note) => note.tags.includes(tag)).map((note) => note.id);
+    },
+    notesInfo: ({ notes }) =>
+      notes.map((id) => {
+        const note = state.notes.find((n) => n.id === id);
+        const fields = Object.entries(note.fields).map(([name, value], order) => [
+          name,
+          { value, order },
+        ]);
+        return { noteId: id, tags: note.tags, fields: Object.fromEntries(fields) };
+      }),
+    addNote: ({ note }) => {
+      if (state.failText && note.fields.Text.includes(state.failText)) {
+        throw new Error("cannot create note because it is empty");
+      }
+      const id = nextId++;
+      state.notes.push({ id, ...note });
+      return id;
+    },
+    updateNote: ({ note }) => {
+      const existing = state.notes.find((n) => n.id === note.id);
+      existing.fields = note.fields;
+      existing.tags = note.tags;
+      return null;
+    },
+  };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const { action, params } = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      let reply;
+      try {
+        state.calls[action] = (state.calls[action] || 0) + 1;
+        if (!actions[action]) throw new Error(`unsupported action ${action}`);
+        reply = { result: actions[action](params || {}), error: null };
+      } catch (err) {
+        reply = { result: null, error: err.message };
+      }
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return { server, state };
+}
+
+let mock;
+let url;
+let dir;
+
+quietLogs();
+
+before(async () => {
+  mock = createMockAnki();
+  await new Promise((resolve) => mock.server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${mock.server.address().port}`;
+});
+
+after(() => {
+  mock.server.close();
+});
+
+beforeEach(() => {
+  Object.assign(mock.state, { decks: ["Default"], models: {}, notes: [], media: {}, calls: {} });
+  mock.state.failText = null;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-ankiconnect-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("first push adds every note, its deck, note type and media", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Oggi parliamo di cucina."]);
+  const events = [];
+  const result = await pushToAnki([ep], "Pod", { url, onProgress: (e) => events.push(e) });
+
+  assert.equal(result.added, 2);
+  assert.equal(result.failed, 0);
+  assert.ok(mock.state.decks.includes("Pod"));
+  assert.deepEqual(Object.keys(mock.state.models), ["Pod"]);
+  assert.deepEqual(Object.keys(mock.state.media).sort(), [
+    "Ep_1_seg_00001.mp3",
+    "Ep_1_seg_00002.mp3",
+  ]);
+  assert.equal(mock.state.notes[0].fields.Audio, "[sound:Ep_1_seg_00001.mp3]");
+  assert.ok(mock.state.notes[0].tags.includes(`key::${result.notes[0].guid}`));
+  assert.deepEqual(
+    events.map((e) => [e.status, e.done, e.total]),
+    [
+      ["added", 1, 2],
+      ["added", 2, 2],
+    ]
+  );
+});
+
+test("a second push leaves unchanged notes alone and updates edited ones", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Oggi parliamo di cucina."]);
+  await pushToAnki([ep], "Pod", { url });
+
+  ep.segments[1].text = "Oggi parliamo della cucina.";
+  const result = await pushToAnki([ep], "Pod", { url });
+
+  assert.deepEqual(
+    result.notes.map((n) => n.status),
+    ["unchanged", "updated"]
+  );
+  assert.equal(mock.state.notes.length, 2);
+  assert.equal(mock.state.notes[1].fields.Text, "Oggi parliamo della cucina.");
+});
+
+test("a second push uploads media only for notes that changed", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Oggi parliamo di cucina."]);
+  await pushToAnki([ep], "Pod", { url });
+  assert.equal(mock.state.calls.storeMediaFile, 2);
+
+  mock.state.calls = {};
+  await pushToAnki([ep], "Pod", { url });
+  assert.equal(mock.state.calls.getMediaFilesNames, 1);
+  assert.equal(mock.state.calls.storeMediaFile, undefined);
+
+  // An edit that re-cuts the clip keeps its name, so the edited note sends it again.
+  ep.segments[1].end += 0.5;
+  fs.writeFileSync(path.join(ep.clipsDir, "seg_00002.mp3"), "clip 2, longer");
+  await pushToAnki([ep], "Pod", { url });
+  assert.equal(mock.state.calls.storeMediaFile, 1);
+  assert.equal(String(mock.state.media["Ep_1_seg_00002.mp3"]), "clip 2, longer");
+});
+
+test("updates replace --tags but keep tags added in Anki", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti."]);
+  await pushToAnki([ep], "Pod", { url, tags: ["podcast", "b1"] });
+  mock.state.notes[0].tags.push("leech", "my::own");
+
+  const result = await pushToAnki([ep], "Pod", { url, tags: ["podcast", "b2"] });
+  const tags = mock.state.notes[0].tags;
+
+  assert.equal(result.updated, 1);
+  assert.ok(tags.includes("tag::podcast"));
+  assert.ok(tags.includes("tag::b2"));
+  assert.ok(!tags.includes("tag::b1"));
+  assert.ok(tags.includes("leech"));
+  assert.ok(tags.includes("my::own"));
+});
+
+test("notes imported from the .apkg are found by their key:: tag", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti."]);
+  const apkg = path.join(dir, "deck.apkg");
+  buildApkg([ep], apkg, "Pod");
+  const { db } = readApkg(apkg);
+  const [model] = Object.values(JSON.parse(sqliteRows(db, "col")[0].models));
+  const [row] = sqliteRows(db, "notes");
+  const values = row.flds.split("\u001f");
+  const names = model.flds.map((field) => field.name);
+  mock.state.models[model.name] = { fields: names, templates: model.tmpls.map((t) => t.name) };
+  mock.state.notes.push({
+    id: 1,
+    fields: Object.fromEntries(names.map((name, i) => [name, values[i]])),
+    tags: row.tags.trim().split(" "),
+  });
+
+  const result = await pushToAnki([ep], "Pod", { url });
+
+  assert.equal(result.notes[0].status, "unchanged");
+  assert.equal(result.notes[0].noteId, 1);
+  assert.equal(mock.state.notes.length, 1);
+});
+
+test("a note AnkiConnect rejects is reported as failed and the rest still go through", async () => {
+  const ep = makeEpisode(dir, ["Ciao a tutti.", "Questa frase FAILME.", "Arrivederci."]);
+  mock.state.failText = "FAILME";
+
+  const result = await pushToAnki([ep], "Pod", { url });
+
+  assert.deepEqual(
+    result.notes.map((n) => n.status),
+    ["added", "failed", "added"]
+  );
+  assert.match(result.notes[1].error, /cannot create note/);
+  assert.equal(result.failed, 1);
+  assert.equal(mock.state.notes.length, 2);
+});
+
+test("an unreachable AnkiConnect fails the whole push with a CommandError", async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const deadUrl = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise((resolve) => closed.close(resolve));
+
+  const ep = makeEpisode(dir, ["Ciao a tutti."]);
+  await assert.rejects(pushToAnki([ep], "Pod", { url: deadUrl }), (err) => {
+    assert.ok(err instanceof CommandError);
+    assert.equal(err.unreachable, true);
+    assert.match(err.message, /Could not reach AnkiConnect/);
+    return true;
+  });
+});
@@ -0,0 +1,227 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, describe, before, after } = require("node:test");
+
+const {
+  segmentWords,
+  refineSegments,
+  validateWordsJson,
+  validateSegments,
+  buildApkg,
+  verify,
+  setLogger,
+  PipelineError,
+  UsageError,
+  InputError,
+  CommandError,
+} = require("../pipeline");
+const { quietLogs, episodeWithClips } = require("./helpers");
+
+const words = [
+  { w: "Allora,", start: 0.0, end: 0.4 },
+  { w: "eh,", start: 0.4, end: 0.6 },
+  { w: "oggi", start: 0.6, end: 0.9 },
+  { w: "parliamo.", start: 0.9, end: 1.4 },
+  { w: "Il", start: 1.6, end: 1.7 },
+  { w: "pane", start: 1.7, end: 2.0 },
+  { w: "fresco", start: 3.5, end: 3.9 },
+  { w: "è", start: 3.9, end: 4.0 },
+  { w: "buono.", start: 4.0, end: 4.4 },
+];
+
+describe("segmentWords", () => {
+  test("splits at sentence ends and long pauses, dropping fillers from the display text", () => {
+    const segments = segmentWords({ language: "it", words }, {});
+
+    assert.deepEqual(
+      segments.map((s) => [s.id, s.text, s.start, s.end]),
+      [
+        ["seg_00001", "oggi parliamo.", 0, 1.4],
+        ["seg_00002", "Il pane", 1.6, 2.0],
+        ["seg_00003", "fresco è buono.", 3.5, 4.4],
+      ]
+    );
+    assert.equal(segments[0].raw_text, "Allora, eh, oggi parliamo.");
+    assert.deepEqual(segments[0].word_indices, [0, 1, 2, 3]);
+  });
+
+  test("keys depend on the words, not on the segment's position", () => {
+    const first = segmentWords({ language: "it", words }, {});
+    const shifted = segmentWords({ language: "it", words: words.slice(4) }, {});
+    assert.equal(shifted[0].id, "seg_00001");
+    assert.equal(shifted[0].key, first[1].key);
+    assert.notEqual(first[0].key, first[1].key);
+  });
+
+  test("maxWords caps segment length and speaker turns start a new speaker", () => {
+    const turns = words.map((w, i) => (i === 4 ? { ...w, speaker_turn: true } : w));
+    const segments = segmentWords({ language: "it", words: turns }, { maxWords: 2, speakers: 2 });
+
+    assert.ok(segments.every((s) => s.word_indices.length <= 2));
+    assert.equal(segments[0].speaker, 1);
+    assert.equal(segments.find((s) => s.word_indices.includes(4)).speaker, 2);
+  });
+});
+
+describe("refineSegments", () => {
+  const segments = [
+    { id: "seg_00001", start: 1.0, end: 2.0, text: "a", raw_text: "a" },
+    { id: "seg_00002", start: 2.04, end: 3.0, text: "b", raw_text: "b" },
+  ];
+
+  test("snaps ends into nearby silences and pads without overlapping neighbours", () => {
+    const refined = refineSegments(segments, [{ start: 0.9, end: 0.95 }], {});
+
+    assert.equal(refined[0].refined_start, 0.9);
+    assert.ok(refined[0].refined_end <= refined[1].refined_start);
+    assert.equal(refined[1].refined_end, 3.1);
+    assert.equal(refined[0].start, 1.0);
+  });
+
+  test("keeps the original times when a snap would swallow the segment", () => {
+    const short = [{ id: "seg_00001", start: 1.0, end: 1.1, text: "a", raw_text: "a" }];
+    const refined = refineSegments(short, [{ start: 0.95, end: 1.15 }], { lead: 0, tail: 0 });
+    assert.equal(refined[0].refined_start, 1.0);
+    assert.equal(refined[0].refined_end, 1.1);
+  });
+});
+
+describe("validation", () => {
+  test("invalid words files are InputErrors naming the file and each problem", () => {
+    const data = { words: [{ w: "ciao", start: "0.5", end: 1 }, { w: "a", start: 2, end: 1 }] };
+    assert.throws(
+      () => validateWordsJson(data, "words.json"),
+      (err) => {
+        assert.ok(err instanceof InputError);
+        assert.equal(err.file, "words.json");
+        assert.deepEqual(err.problems, [
+          'words[0]: "start" must be a number (got "0.5")',
+          "words[1]: ends before it starts (start 2, end 1)",
+        ]);
+        assert.match(err.message, /^words\.json is not a valid words file \(schema v1\):/);
+        return true;
+      }
+    );
+    assert.equal(validateWordsJson({ words }, "words.json").words, words);
+  });
+
+  test("segment errors name the segment and report duplicates, showing at most ten", () => {
+    const segments = Array.from({ length: 12 }, () => ({
+      id: "seg_00001",
+      start: 0,
+      end: 1,
+      text: "a",
+      raw_text: "a",
+    }));
+    assert.throws(
+      () => validateSegments(segments, "segments.json"),
+      (err) => {
+        assert.equal(err.problems.length, 11);
+        assert.equal(err.problems[0], "segment 1 (seg_00001): duplicate id");
+        assert.match(err.message, /\.\.\.and 1 more$/);
+        return true;
+      }
+    );
+  });
+});
+
+describe("buildApkg", () => {
+  let dir;
+
+  quietLogs();
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-api-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function makeEpisode() {
+    return { ...episodeWithClips(dir, segmentWords({ language: "it", words }, {})), words };
+  }
+
+  test("writes a deck that verify finds consistent", async () => {
+    const apkg = path.join(dir, "sentences.apkg");
+    const result = buildApkg([makeEpisode()], apkg, "Pod", { cards: ["listen", "read"] });
+    const report = await verify(apkg);
+
+    assert.equal(result.deckPath, apkg);
+    assert.equal(result.notes, 3);
+    assert.deepEqual(
+      { ok: report.ok, notes: report.notes, cards: report.cards, media: report.media },
+      { ok: true, notes: 3, cards: 6, media: 3 }
+    );
+  });
+
+  test("cloze decks get one card per cloze number", async () => {
+    const apkg = path.join(dir, "cloze.apkg");
+    buildApkg([makeEpisode()], apkg, "Pod", { cloze: "all" });
+    const report = await verify(apkg);
+
+    // oggi, parliamo / pane / fresco, buono: the fillers and stopwords get no blank.
+    assert.equal(report.ok, true);
+    assert.equal(report.cards, 5);
+  });
+
+  test("unknown card templates are usage errors", () => {
+    assert.throws(
+      () => buildApkg([makeEpisode()], path.join(dir, "x.apkg"), "Pod", { cards: ["nope"] }),
+      (err) => err instanceof UsageError && /Unknown card template "nope"/.test(err.message)
+    );
+  });
+});
+
+test("setLogger redirects log lines, null silences them and no argument restores them", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-log-"));
+  const lines = [];
+  try {
+    fs.writeFileSync(path.join(dir, "seg_00001.mp3"), "clip");
+    const ep = {
+      segments: [{ id: "seg_00001", start: 0, end: 1, text: "Ciao a tutti.", raw_text: "" }],
+      clipsDir: dir,
+      episode: "Ep 1",
+    };
+    const apkg = path.join(dir, "deck.apkg");
+    setLogger(null);
+    buildApkg([ep], apkg, "Pod");
+    setLogger((line) => lines.push(line));
+    buildApkg([ep], apkg, "Pod", { update: true });
+    assert.deepEqual(lines, ["0 of 1 notes are new or changed since the last deck"]);
+
+    setLogger(null);
+    buildApkg([ep], apkg, "Pod", { update: true });
+    assert.equal(lines.length, 1);
+
+    // No argument brings back the default console lines.
+    const printed = [];
+    const realLog = console.log;
+    console.log = (line) => printed.push(line);
+    try {
+      setLogger();
+      buildApkg([ep], apkg, "Pod", { update: true });
+    } finally {
+      console.log = realLog;
+    }
+    assert.deepEqual(printed, ["[pipeline] 0 of 1 notes are new or changed since the last deck"]);
+  } finally {
+    setLogger();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("typed errors share PipelineError and carry their details", () => {
+  for (const Type of [UsageError, InputError, CommandError]) {
+    const err = new Type("boom", { file: "x.json" });
+    assert.ok(err instanceof PipelineError);
+    assert.ok(err instanceof Error);
+    assert.equal(err.name, Type.name);
+    assert.equal(err.message, "boom");
+    assert.equal(err.file, "x.json");
+  }
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { batch, InputError } = require("../pipeline");
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-batch-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function touch(...parts) {
+  const file = path.join(dir, ...parts);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, "");
+  return file;
+}
+
+test("episodes whose names share a media prefix are rejected before any work", async () => {
+  touch("episodes", "ep-1.mp3");
+  touch("episodes", "ep_1.mp3");
+  await assert.rejects(batch([path.join(dir, "episodes")], { "out-dir": dir }), (err) => {
+    assert.ok(err instanceof InputError);
+    assert.match(err.message, /would share the episode name "ep_1"/);
+    return true;
+  });
+});
+
+test("inputs with the same basename in different directories are rejected", async () => {
+  const a = touch("a", "intro.mp3");
+  const b = touch("b", "intro.m4a");
+  await assert.rejects(batch([a, b], { "out-dir": dir }), /would share the episode name "intro"/);
+  assert.ok(!fs.existsSync(path.join(dir, "intro")));
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { clip, refine, CommandError, UsageError } = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+const hasTool = (cmd) => !spawnSync(cmd, ["-version"], { stdio: "ignore" }).error;
+const skip = hasTool("ffmpeg") && hasTool("ffprobe") ? false : "needs ffmpeg and ffprobe";
+
+// Codec, sample rate, channels and duration as ffprobe reports them.
+function probe(file) {
+  const res = spawnSync(
+    "ffprobe",
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "stream=codec_name,sample_rate,channels:format=duration",
+      "-of",
+      "json",
+      file,
+    ],
+    { encoding: "utf8" }
+  );
+  const { streams, format } = JSON.parse(res.stdout);
+  return { ...streams[0], duration: format.duration };
+}
+
+let dir;
+let input;
+let segmentsJson;
+let segments;
+
+quietLogs();
+
+before(() => {
+  if (skip) return;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-clip-"));
+  input = path.join(dir, "episode.mp3");
+  spawnSync(
+    "ffmpeg",
+    ["-f", "lavfi", "-i", "sine=frequency=440:duration=45", "-codec:a", "libmp3lame", input],
+    { stdio: "ignore" }
+  );
+  // More segments than one single-pass batch, so the batching is exercised too.
+  segments = Array.from({ length: 40 }, (_, i) => ({
+    id: `seg_${String(i + 1).padStart(5, "0")}`,
+    start: i + 0.25,
+    end: i + 0.25 + 0.5 + (i % 3) * 0.25,
+    text: `segment ${i + 1}`,
+    raw_text: `segment ${i + 1}`,
+  }));
+  segmentsJson = path.join(dir, "segments.json");
+  fs.writeFileSync(segmentsJson, JSON.stringify(segments));
+});
+
+after(() => {
+  if (skip) return;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("single-pass clips match per-segment re-encoded clips", { skip }, async () => {
+  const perSegment = path.join(dir, "per-segment");
+  const singlePass = path.join(dir, "single-pass");
+  await clip(input, segmentsJson, perSegment, { reencode: true });
+  await clip(input, segmentsJson, singlePass, { "single-pass": true, jobs: 2 });
+
+  for (const seg of segments) {
+    const expected = probe(path.join(perSegment, `${seg.id}.mp3`));
+    // mp3 frames are 26 ms long, so a clip may run up to about one frame long.
+    assert.ok(Math.abs(expected.duration - (seg.end - seg.start)) < 0.08, seg.id);
+    assert.deepEqual(probe(path.join(singlePass, `${seg.id}.mp3`)), expected, seg.id);
+    assert.deepEqual(
+      { codec: expected.codec_name, rate: expected.sample_rate, channels: expected.channels },
+      { codec: "mp3", rate: "44100", channels: 2 }
+    );
+  }
+});
+
+test("invalid --loudness and --fade values are usage errors", async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-clip-flags-"));
+  const json = path.join(tmp, "segments.json");
+  fs.writeFileSync(json, "[]");
+  try {
+    for (const flags of [{ loudness: "abc" }, { loudness: "-2" }, { loudness: true }]) {
+      await assert.rejects(clip("episode.mp3", json, tmp, flags), (err) => {
+        assert.ok(err instanceof UsageError);
+        assert.match(err.message, /--loudness must be a LUFS target/);
+        return true;
+      });
+    }
+    for (const flags of [{ fade: "abc" }, { fade: "-0.5" }]) {
+      await assert.rejects(clip("episode.mp3", json, tmp, flags), /--fade must be a number/);
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("--bitrate, --channels and --sample-rate force a re-encode", async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-clip-encode-"));
+  // An ffmpeg that only records its arguments.
+  const log = path.join(tmp, "ffmpeg.log");
+  fs.writeFileSync(path.join(tmp, "ffmpeg"), `#!/bin/sh\necho "$@" >> "${log}"\n`, {
+    mode: 0o755,
+  });
+  const savedPath = process.env.PATH;
+  process.env.PATH = `${tmp}${path.delimiter}${savedPath}`;
+  const json = path.join(tmp, "segments.json");
+  const seg = { id: "seg_00001", start: 1, end: 2, text: "a", raw_text: "a" };
+  fs.writeFileSync(json, JSON.stringify([seg]));
+  try {
+    await clip("episode.mp3", json, path.join(tmp, "copy"), {});
+    await clip("episode.mp3", json, path.join(tmp, "encoded"), {
+      bitrate: "64k",
+      channels: "1",
+      "sample-rate": "22050",
+    });
+    const [copied, encoded] = fs.readFileSync(log, "utf8").trim().split("\n");
+
+    assert.match(copied, / -c copy /);
+    assert.doesNotMatch(encoded, / -c copy /);
+    assert.match(encoded, / -ar 22050 -ac 1 -codec:a libmp3lame -b:a 64k /);
+  } finally {
+    process.env.PATH = savedPath;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+test("a missing ffmpeg is a CommandError, also for loudness and silence analysis", async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-clip-noffmpeg-"));
+  const savedPath = process.env.PATH;
+  process.env.PATH = tmp;
+  const json = path.join(tmp, "segments.json");
+  const seg = { id: "seg_00001", start: 1, end: 2, text: "a", raw_text: "a" };
+  fs.writeFileSync(json, JSON.stringify([seg]));
+  const missing = (err) => err instanceof CommandError && /ffmpeg was not found/.test(err.message);
+  try {
+    await assert.rejects(clip("episode.mp3", json, tmp, { loudness: "-16" }), missing);
+    await assert.rejects(refine("episode.wav", json), missing);
+  } finally {
+    process.env.PATH = savedPath;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const {
+  anki,
+  ankiconnect,
+  batch,
+  fullDefault,
+  vocab,
+  buildApkg,
+  clozeSelector,
+  clozeText,
+  clozeOrdinals,
+  UsageError,
+} = require("../pipeline");
+const { quietLogs, makeEpisode } = require("./helpers");
+
+let dir;
+
+quietLogs();
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-cloze-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("rarest picks the least frequent content word, ties going to the longer word", () => {
+  const ep = makeEpisode(dir, ["Vedo il gatto e il cane.", "Il cane dorme."]);
+  const pick = clozeSelector([ep], { cloze: "rarest" });
+
+  // vedo and gatto are both seen once; cane twice.
+  assert.deepEqual(pick(ep.segments[0], ep), ["gatto"]);
+  assert.deepEqual(pick(ep.segments[1], ep), ["dorme"]);
+});
+
+test("all numbers content words in order, repeats sharing a number", () => {
+  const ep = makeEpisode(dir, ["Il cane vede il cane nero, 3 volte."]);
+  const targets = clozeSelector([ep], { cloze: "all" })(ep.segments[0], ep);
+  const text = clozeText(ep.segments[0].text, targets);
+
+  assert.deepEqual(targets, ["cane", "vede", "nero", "volte"]);
+  assert.equal(text, "Il {{c1::cane}} {{c2::vede}} il {{c1::cane}} {{c3::nero}}, 3 {{c4::volte}}.");
+  assert.deepEqual(clozeOrdinals(text), [0, 1, 2, 3]);
+});
+
+test("list matches target words whatever their case or Unicode form", () => {
+  const list = path.join(dir, "targets.txt");
+  // The list spells città with a combining accent.
+  fs.writeFileSync(list, "# this week\n  PERCHÉ  \ncitta\u0300 # to review\n\nassente\n");
+  const ep = makeEpisode(dir, ["Perché la città? Sì, la città.", "Nessuna parola qui."]);
+  const pick = clozeSelector([ep], { cloze: "list", clozeWords: list });
+
+  assert.deepEqual(pick(ep.segments[0], ep), ["perché", "città"]);
+  assert.deepEqual(pick(ep.segments[1], ep), []);
+  assert.throws(() => clozeSelector([ep], { cloze: "list" }), /--cloze list needs --cloze-words/);
+});
+
+test("clozeText keeps punctuation and quotes outside the blank", () => {
+  const text = clozeText("«Ciao», disse... (davvero?) l'amico!", ["ciao", "davvero", "l'amico"]);
+  assert.equal(text, "«{{c1::Ciao}}», disse... ({{c2::davvero}}?) {{c3::l'amico}}!");
+});
+
+test("unknown cloze modes list the cloze modes", () => {
+  assert.throws(
+    () => clozeSelector([], { cloze: "listen" }),
+    /Unknown cloze mode "listen"\. Expected one of: rarest, all, list$/
+  );
+});
+
+test("--cards together with --cloze is a usage error", () => {
+  const ep = makeEpisode(dir, ["Vedo il gatto."]);
+  for (const cards of [["listen"], ["nope"]]) {
+    assert.throws(
+      () => buildApkg([ep], path.join(dir, "deck.apkg"), "Pod", { cards, cloze: "rarest" }),
+      (err) => err instanceof UsageError && /--cards does not apply to --cloze/.test(err.message)
+    );
+  }
+});
+
+test("every deck command rejects --cards with --cloze before doing any work", async () => {
+  const media = path.join(dir, "episode.mp3");
+  fs.writeFileSync(media, "not audio");
+  const missing = path.join(dir, "missing.json");
+  const flags = { cards: "listen", cloze: "rarest", "ankiconnect-url": "http://127.0.0.1:1" };
+  const usage = (err) =>
+    err instanceof UsageError && /--cards does not apply to --cloze/.test(err.message);
+
+  await assert.rejects(anki(missing, dir, path.join(dir, "deck.apkg"), flags), usage);
+  await assert.rejects(ankiconnect(missing, dir, flags), usage);
+  await assert.rejects(fullDefault(media, { ...flags, "out-dir": path.join(dir, "out") }), usage);
+  await assert.rejects(batch([media], { ...flags, "out-dir": path.join(dir, "out") }), usage);
+  for (const vocabFlags of [{ cards: "listen" }, { cloze: true }]) {
+    await assert.rejects(
+      vocab(missing, missing, media, dir, path.join(dir, "vocab.apkg"), vocabFlags),
+      /--cards and --cloze do not apply to vocab decks/
+    );
+  }
+});
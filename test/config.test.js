@@ -0,0 +1,85 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { parseArgs, applyConfig, UsageError } = require("../pipeline");
+
+let dir;
+let config;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-config-"));
+  config = path.join(dir, "run.json");
+  fs.writeFileSync(
+    config,
+    JSON.stringify({
+      translate: true,
+      push: true,
+      "max-duration": 8,
+      cards: ["listen", "read"],
+      profiles: {
+        quiet: { push: false, "deck-name": "Quiet" },
+      },
+    })
+  );
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function effective(argv) {
+  return applyConfig(parseArgs(argv).flags);
+}
+
+test("parseArgs reads values, bare flags and --no-<flag>", () => {
+  const { args, flags } = parseArgs([
+    "in.mp3",
+    "--deck-name",
+    "Pod",
+    "--translate",
+    "--no-push",
+    "--diarize",
+    "false",
+    "--no-defaults",
+  ]);
+  assert.deepEqual(args, ["in.mp3"]);
+  assert.deepEqual(flags, {
+    "deck-name": "Pod",
+    translate: true,
+    push: false,
+    diarize: false,
+    "no-defaults": true,
+  });
+});
+
+test("config values are normalized like CLI flags", () => {
+  const flags = effective(["--config", config]);
+  assert.equal(flags.translate, true);
+  assert.equal(flags["max-duration"], "8");
+  assert.equal(flags.cards, "listen,read");
+});
+
+test("--no-<flag> and --<flag> false turn off a boolean set in a config file", () => {
+  assert.equal("translate" in effective(["--config", config, "--no-translate"]), false);
+  assert.equal("push" in effective(["--config", config, "--push", "false"]), false);
+});
+
+test("a false in a profile overrides a true from the config file", () => {
+  const flags = effective(["--config", config, "--profile", "quiet"]);
+  assert.equal("push" in flags, false);
+  assert.equal(flags["deck-name"], "Quiet");
+});
+
+test("CLI flags win over the profile", () => {
+  const flags = effective(["--config", config, "--profile", "quiet", "--push"]);
+  assert.equal(flags.push, true);
+});
+
+test("unknown profiles are usage errors", () => {
+  assert.throws(() => effective(["--config", config, "--profile", "nope"]), UsageError);
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { fullDefault, readApkg, sqliteRows } = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+const hasTool = (cmd) => !spawnSync(cmd, ["-version"], { stdio: "ignore" }).error;
+const skip = hasTool("ffmpeg") ? false : "needs ffmpeg";
+
+// Stands in for whisper-cli: writes a fixed transcript to the -of base it is given.
+const FAKE_WHISPER = `#!/usr/bin/env node
+const args = process.argv.slice(2);
+const base = args[args.indexOf("-of") + 1];
+if (args.includes("-of")) {
+  const words = [
+    ["Ciao", 0.2, 0.5], ["a", 0.5, 0.6], ["tutti.", 0.6, 1.2],
+    ["Oggi", 2.0, 2.3], ["parliamo", 2.3, 2.8], ["di", 2.8, 2.9], ["cucina.", 2.9, 3.5],
+  ].map(([w, start, end]) => ({ w, start, end }));
+  require("fs").writeFileSync(base + ".json", JSON.stringify({ words }));
+}
+`;
+
+let dir;
+let options;
+
+quietLogs();
+
+before(() => {
+  if (skip) return;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-full-"));
+  const whisperBin = path.join(dir, "whisper-cli");
+  fs.writeFileSync(whisperBin, FAKE_WHISPER, { mode: 0o755 });
+  const model = path.join(dir, "ggml-test.bin");
+  fs.writeFileSync(model, "model");
+  spawnSync(
+    "ffmpeg",
+    ["-f", "lavfi", "-i", "sine=frequency=440:duration=5", path.join(dir, "episode.mp3")],
+    { stdio: "ignore" }
+  );
+  options = {
+    "out-dir": path.join(dir, "out"),
+    "deck-name": "Pod",
+    "whisper-bin": whisperBin,
+    model,
+    language: "it",
+  };
+});
+
+after(() => {
+  if (skip) return;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a full-default rebuild keeps the mod time of unchanged notes", { skip }, async () => {
+  const input = path.join(dir, "episode.mp3");
+  const realNow = Date.now;
+  Date.now = () => Date.UTC(2020, 0, 1);
+  let first;
+  try {
+    first = await fullDefault(input, options);
+  } finally {
+    Date.now = realNow;
+  }
+  const notesBefore = sqliteRows(readApkg(first.deckPath).db, "notes");
+
+  const second = await fullDefault(input, { ...options, force: "anki" });
+  const notesAfter = sqliteRows(readApkg(second.deckPath).db, "notes");
+
+  assert.equal(notesBefore.length, 2);
+  assert.deepEqual(notesAfter, notesBefore);
+
+  // A new tag changes every note, so each one gets a newer mod time.
+  const third = await fullDefault(input, { ...options, tags: "rebuilt" });
+  const notesThird = sqliteRows(readApkg(third.deckPath).db, "notes");
+  assert.ok(notesThird.every((n, i) => n.mod > notesBefore[i].mod));
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+// Fixtures shared by the test files. node --test loads this file too; it defines no tests.
+
+const fs = require("fs");
+const path = require("path");
+const { before, after } = require("node:test");
+
+const { setLogger } = require("../pipeline");
+
+// Silences log lines and ffmpeg output for the file's tests, then restores the default logger.
+function quietLogs() {
+  before(() => setLogger(null));
+  after(() => setLogger());
+}
+
+// Segments three seconds apart with the given texts, keyed so their note GUIDs are fixed.
+function sentences(texts) {
+  return texts.map((text, i) => ({
+    id: `seg_${String(i + 1).padStart(5, "0")}`,
+    start: i * 3,
+    end: i * 3 + 2.5,
+    text,
+    raw_text: text,
+    key: `key${i + 1}`,
+  }));
+}
+
+// An episode as buildApkg and pushToAnki take it, with a small clip per segment in <dir>/clips.
+function episodeWithClips(dir, segments) {
+  const clipsDir = path.join(dir, "clips");
+  fs.mkdirSync(clipsDir, { recursive: true });
+  for (const seg of segments) {
+    fs.writeFileSync(path.join(clipsDir, `${seg.id}.mp3`), `clip ${seg.id}`);
+  }
+  return { segments, clipsDir, episode: "Ep 1", language: "it", words: null };
+}
+
+function makeEpisode(dir, texts) {
+  return episodeWithClips(dir, sentences(texts));
+}
+
+module.exports = { quietLogs, sentences, episodeWithClips, makeEpisode };
@@ -0,0 +1,63 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const {
+  buildApkg,
+  readApkg,
+  createZipWriter,
+  loadKnownWords,
+  InputError,
+} = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+let dir;
+let apkg;
+
+quietLogs();
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-known-"));
+  const clipsDir = path.join(dir, "clips");
+  fs.mkdirSync(clipsDir);
+  fs.writeFileSync(path.join(clipsDir, "seg_00001.mp3"), "clip");
+  const segments = [
+    { id: "seg_00001", start: 0, end: 2, text: "Oggi parliamo di cucina.", raw_text: "" },
+  ];
+  apkg = path.join(dir, "deck.apkg");
+  buildApkg([{ segments, clipsDir, episode: "Ep 1" }], apkg, "Pod");
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("known words are read from the notes of an .apkg", () => {
+  const known = loadKnownWords(apkg);
+  for (const word of ["oggi", "parliamo", "di", "cucina"]) assert.ok(known.has(word), word);
+});
+
+test("known words are read from a plain word list", () => {
+  const list = path.join(dir, "known.txt");
+  fs.writeFileSync(list, "# seen so far\nCiao\ncucina  # from episode 1\n");
+  assert.deepEqual([...loadKnownWords(list)].sort(), ["ciao", "cucina"]);
+});
+
+test("decks exported in the collection.anki21b format are rejected", () => {
+  // Such exports carry a placeholder collection.anki2 next to the real, compressed collection.
+  const modern = path.join(dir, "modern.apkg");
+  const zip = createZipWriter(modern);
+  zip.addBuffer("collection.anki2", readApkg(apkg).db.buf);
+  zip.addBuffer("collection.anki21b", Buffer.from("zstd data"));
+  zip.addBuffer("media", Buffer.from("{}"));
+  zip.close();
+
+  assert.throws(
+    () => loadKnownWords(modern),
+    (err) => err instanceof InputError && /Support older Anki versions/.test(err.message)
+  );
+});
@@ -0,0 +1,242 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { test, describe, before, after } = require("node:test");
+
+const { applySegmentEdit, review, setLogger, UsageError } = require("../pipeline");
+
+const words = [
+  { w: "Ciao", start: 0.0, end: 0.4, confidence: 0.9 },
+  { w: "a", start: 0.4, end: 0.5, confidence: 0.9 },
+  { w: "tutti.", start: 0.5, end: 1.0, confidence: 0.6 },
+  { w: "Oggi", start: 2.0, end: 2.3, confidence: 0.8 },
+  { w: "eh", start: 2.3, end: 2.5, confidence: 0.8 },
+  { w: "parliamo.", start: 2.5, end: 3.0, confidence: 0.8 },
+];
+
+function makeSegments() {
+  return [
+    {
+      id: "seg_00001",
+      start: 0,
+      end: 1,
+      text: "Ciao a tutti.",
+      raw_text: "Ciao a tutti.",
+      word_indices: [0, 1, 2],
+      key: "k1",
+      needs_check: true,
+    },
+    {
+      id: "seg_00002",
+      start: 2,
+      end: 3,
+      refined_start: 1.9,
+      refined_end: 3.1,
+      text: "Oggi parliamo.",
+      raw_text: "Oggi eh parliamo.",
+      word_indices: [3, 4, 5],
+      key: "k2",
+      translation: "Today we talk.",
+    },
+  ];
+}
+
+describe("applySegmentEdit", () => {
+  test("text replaces the display text and clears needs_check", () => {
+    const segments = makeSegments();
+    const result = applySegmentEdit(segments, words, {
+      op: "text",
+      id: "seg_00001",
+      text: " Ciao a tutte. ",
+    });
+    assert.deepEqual(result, { changed: [], removed: [], retext: ["seg_00001"] });
+    assert.equal(segments[0].text, "Ciao a tutte.");
+    assert.equal(segments[0].needs_check, undefined);
+    assert.equal(segments[0].key, "k1");
+  });
+
+  test("nudge shifts the clip range, starting from refined times", () => {
+    const segments = makeSegments();
+    const result = applySegmentEdit(segments, words, {
+      op: "nudge",
+      id: "seg_00002",
+      start: -0.2,
+      end: 0.25,
+    });
+    assert.deepEqual(result.changed, ["seg_00002"]);
+    assert.equal(segments[1].start, 1.7);
+    assert.equal(segments[1].end, 3.35);
+    assert.equal(segments[1].refined_start, undefined);
+    assert.equal(segments[1].refined_end, undefined);
+  });
+
+  test("nudge never moves the start below zero or past the end", () => {
+    const segments = makeSegments();
+    applySegmentEdit(segments, words, { op: "nudge", id: "seg_00001", start: -5 });
+    assert.equal(segments[0].start, 0);
+    assert.throws(
+      () => applySegmentEdit(segments, words, { op: "nudge", id: "seg_00001", start: 2 }),
+      UsageError
+    );
+  });
+
+  test("delete removes the segment", () => {
+    const segments = makeSegments();
+    const result = applySegmentEdit(segments, words, { op: "delete", id: "seg_00001" });
+    assert.deepEqual(result.removed, ["seg_00001"]);
+    assert.deepEqual(
+      segments.map((s) => s.id),
+      ["seg_00002"]
+    );
+  });
+
+  test("merge joins a segment with the next one and keeps the first key", () => {
+    const segments = makeSegments();
+    const result = applySegmentEdit(segments, words, { op: "merge", id: "seg_00001" });
+    assert.deepEqual(result, { changed: ["seg_00001"], removed: ["seg_00002"], retext: [] });
+    assert.equal(segments.length, 1);
+    const [seg] = segments;
+    assert.equal(seg.key, "k1");
+    assert.equal(seg.text, "Ciao a tutti. Oggi parliamo.");
+    assert.equal(seg.raw_text, "Ciao a tutti. Oggi eh parliamo.");
+    assert.deepEqual(seg.word_indices, [0, 1, 2, 3, 4, 5]);
+    assert.equal(seg.start, 0);
+    assert.equal(seg.end, 3);
+    assert.equal(seg.refined_start, 0);
+    assert.equal(seg.refined_end, 3.1);
+    assert.equal(seg.translation, "Today we talk.");
+    assert.equal(seg.needs_check, true);
+  });
+
+  test("merge fails on the last segment", () => {
+    assert.throws(
+      () => applySegmentEdit(makeSegments(), words, { op: "merge", id: "seg_00002" }),
+      /no following segment/
+    );
+  });
+
+  test("split cuts at a word, the first half keeping the key", () => {
+    const segments = makeSegments();
+    const result = applySegmentEdit(
+      segments,
+      words,
+      { op: "split", id: "seg_00002", at: 1 },
+      { fillers: new Set(["eh"]) }
+    );
+    assert.deepEqual(result.changed, ["seg_00002", "seg_00003"]);
+    const [, head, tail] = segments;
+    assert.equal(head.key, "k2");
+    assert.equal(head.text, "Oggi");
+    assert.equal(head.end, 2.3);
+    assert.equal(head.refined_start, undefined);
+    assert.equal(head.translation, undefined);
+    assert.equal(tail.id, "seg_00003");
+    assert.equal(tail.text, "parliamo.");
+    assert.equal(tail.raw_text, "eh parliamo.");
+    assert.equal(tail.start, 2.3);
+    assert.notEqual(tail.key, "k2");
+  });
+
+  test("split rejects points outside the segment and segments without word timings", () => {
+    const segments = makeSegments();
+    for (const at of [0, 3, 1.5]) {
+      assert.throws(
+        () => applySegmentEdit(segments, words, { op: "split", id: "seg_00001", at }),
+        /Split point must be between 1 and 2/
+      );
+    }
+    delete segments[0].word_indices;
+    assert.throws(
+      () => applySegmentEdit(segments, words, { op: "split", id: "seg_00001", at: 1 }),
+      /no word timings/
+    );
+  });
+
+  test("unknown segments and edits are usage errors", () => {
+    assert.throws(
+      () => applySegmentEdit(makeSegments(), words, { op: "text", id: "nope", text: "x" }),
+      UsageError
+    );
+    assert.throws(
+      () => applySegmentEdit(makeSegments(), words, { op: "shuffle", id: "seg_00001" }),
+      /Unknown edit "shuffle"/
+    );
+  });
+});
+
+describe("review server", () => {
+  let dir;
+  let server;
+  let savedPath;
+
+  before(async () => {
+    setLogger(null);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-review-"));
+    // An ffmpeg that always fails, standing in for a cut that goes wrong.
+    const binDir = path.join(dir, "bin");
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, "ffmpeg"), "#!/bin/sh\nexit 1\n", { mode: 0o755 });
+    savedPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${savedPath}`;
+
+    fs.writeFileSync(path.join(dir, "words.json"), JSON.stringify({ language: "it", words }));
+    fs.writeFileSync(path.join(dir, "segments.json"), JSON.stringify(makeSegments()));
+    fs.mkdirSync(path.join(dir, "clips"));
+    fs.writeFileSync(path.join(dir, "clips", "seg_00001.mp3"), "old clip");
+    server = await review(
+      path.join(dir, "words.json"),
+      path.join(dir, "segments.json"),
+      path.join(dir, "episode.mp3"),
+      path.join(dir, "clips"),
+      { port: 0 }
+    );
+  });
+
+  after(() => {
+    server.close();
+    process.env.PATH = savedPath;
+    setLogger();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function postEdit(edit) {
+    const body = JSON.stringify(edit);
+    return new Promise((resolve, reject) => {
+      const req = http.request(
+        { port: server.address().port, host: "127.0.0.1", path: "/api/edit", method: "POST" },
+        (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(chunks.join("")) }));
+        }
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  test("a failed re-cut leaves segments.json and the old clip untouched", async () => {
+    const before = fs.readFileSync(path.join(dir, "segments.json"), "utf8");
+    const res = await postEdit({ op: "nudge", id: "seg_00001", end: 0.5 });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Command failed: ffmpeg/);
+    assert.equal(fs.readFileSync(path.join(dir, "segments.json"), "utf8"), before);
+    assert.equal(fs.readFileSync(path.join(dir, "clips", "seg_00001.mp3"), "utf8"), "old clip");
+    assert.deepEqual(fs.readdirSync(path.join(dir, "clips")), ["seg_00001.mp3"]);
+  });
+
+  test("an edit that needs no re-cut is saved", async () => {
+    const res = await postEdit({ op: "text", id: "seg_00001", text: "Ciao a tutte." });
+
+    assert.equal(res.status, 200);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, "segments.json"), "utf8"));
+    assert.equal(saved.schema_version, 1);
+    assert.equal(saved.segments[0].text, "Ciao a tutte.");
+    assert.equal(res.body.segments[0].text, "Ciao a tutte.");
+  });
+});
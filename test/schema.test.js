@@ -0,0 +1,68 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { segment, exportSubs, validateSegments, InputError } = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+const segments = [
+  { id: "seg_00001", start: 0, end: 1.5, text: "Ciao a tutti.", raw_text: "Ciao a tutti." },
+];
+
+let dir;
+
+quietLogs();
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-schema-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("segments are read from the versioned shape and from bare lists", () => {
+  assert.deepEqual(validateSegments({ schema_version: 1, segments }, "a.json"), segments);
+  assert.deepEqual(validateSegments(segments, "b.json"), segments);
+});
+
+test("a newer segments schema_version is rejected", () => {
+  assert.throws(
+    () => validateSegments({ schema_version: 2, segments }, "segments.json"),
+    (err) => {
+      assert.ok(err instanceof InputError);
+      assert.match(err.problems[0], /schema_version 2 is newer than the supported version 1/);
+      return true;
+    }
+  );
+  assert.throws(() => validateSegments({ schema_version: 1 }, "x.json"), /"segments" list/);
+});
+
+test("segment writes segments.json with its schema_version", async () => {
+  const wordsJson = path.join(dir, "words.json");
+  const words = [
+    { w: "Ciao", start: 0, end: 0.4 },
+    { w: "a", start: 0.4, end: 0.5 },
+    { w: "tutti.", start: 0.5, end: 1 },
+  ];
+  fs.writeFileSync(wordsJson, JSON.stringify({ schema_version: 1, language: "it", words }));
+  const out = path.join(dir, "segments.json");
+
+  const result = await segment(wordsJson, out);
+  const saved = JSON.parse(fs.readFileSync(out, "utf8"));
+
+  assert.equal(saved.schema_version, 1);
+  assert.deepEqual(saved.segments, result);
+  assert.equal(saved.segments[0].text, "Ciao a tutti.");
+});
+
+test("export-subs reads the versioned shape", async () => {
+  const json = path.join(dir, "wrapped.json");
+  fs.writeFileSync(json, JSON.stringify({ schema_version: 1, segments }));
+  await exportSubs(json, path.join(dir, "subs"), { formats: "srt" });
+  assert.match(fs.readFileSync(path.join(dir, "subs.srt"), "utf8"), /\nCiao a tutti\.\n/);
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { segment, segmentWords, anki, setLogger, UsageError } = require("../pipeline");
+
+function words(...specs) {
+  return specs.map(([w, start, end]) => ({ w, start, end }));
+}
+
+test("a long translation goes only to the segment it overlaps most", () => {
+  const wordsJson = {
+    language: "it",
+    words: words(
+      ["Ciao", 0, 0.3],
+      ["Marco.", 0.3, 0.8],
+      ["Come", 1.0, 1.3],
+      ["stai", 1.3, 1.6],
+      ["oggi?", 1.6, 2.6],
+      ["Molto", 2.8, 3.0],
+      ["bene.", 3.0, 3.2]
+    ),
+    translation: [
+      { start: 0, end: 3.2, text: "Hi Marco. How are you today? Very well." },
+      { start: 3.3, end: 9, text: "Nothing said here." },
+    ],
+  };
+  const segments = segmentWords(wordsJson, {});
+
+  assert.deepEqual(
+    segments.map((s) => s.text),
+    ["Ciao Marco.", "Come stai oggi?", "Molto bene."]
+  );
+  assert.deepEqual(
+    segments.map((s) => s.translation),
+    [undefined, "Hi Marco. How are you today? Very well.", undefined]
+  );
+});
+
+test("consecutive translated spans over one segment are joined", () => {
+  const wordsJson = {
+    language: "it",
+    words: words(["Allora", 0, 0.5], ["cominciamo", 0.5, 1.5], ["subito.", 1.5, 2.0]),
+    translation: [
+      { start: 0, end: 1.0, text: "So" },
+      { start: 1.0, end: 2.0, text: "let's start right away." },
+    ],
+  };
+  const [seg] = segmentWords(wordsJson, {});
+  assert.equal(seg.translation, "So let's start right away.");
+});
+
+test("--min-confidence must be a number from 0 to 1", async () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-confidence-"));
+  const wordsJson = path.join(tmp, "words.json");
+  const segmentsJson = path.join(tmp, "segments.json");
+  const low = words(["Ciao", 0, 0.3], ["Marco.", 0.3, 0.8]).map((w) => ({ ...w, confidence: 0.2 }));
+  fs.writeFileSync(wordsJson, JSON.stringify({ language: "it", words: low }));
+  const usage = (err) =>
+    err instanceof UsageError && /--min-confidence must be a number from 0 to 1/.test(err.message);
+  setLogger(null);
+  try {
+    const [seg] = await segment(wordsJson, segmentsJson, { "min-confidence": "0.5" });
+    assert.equal(seg.needs_check, true);
+
+    for (const value of ["abc", "", "1.5", "-0.1", true]) {
+      const flags = { "min-confidence": value };
+      await assert.rejects(segment(wordsJson, segmentsJson, flags), usage);
+      await assert.rejects(anki(segmentsJson, tmp, path.join(tmp, "deck.apkg"), flags), usage);
+    }
+  } finally {
+    setLogger();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
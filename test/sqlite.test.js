@@ -0,0 +1,175 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { InputError } = require("../lib/errors");
+const { writeSqliteDb, openSqlite, sqliteRows } = require("../lib/sqlite");
+
+const hasSqlite = !spawnSync("sqlite3", ["-version"], { stdio: "ignore" }).error;
+const skip = hasSqlite ? false : "needs the sqlite3 command-line tool";
+
+const SCHEMA = [
+  {
+    type: "table",
+    name: "items",
+    sql: `CREATE TABLE items (
+    id              integer primary key,
+    name            text not null,
+    n               integer not null,
+    score           real not null,
+    body            text not null
+)`,
+  },
+  { type: "table", name: "empty", sql: "CREATE TABLE empty (a text, b integer)" },
+  { type: "index", name: "ix_items_body", table: "items", columns: ["body"] },
+  { type: "index", name: "ix_items_name_n", table: "items", columns: ["name", "n"] },
+];
+
+// Deterministic filler text, so a failure reproduces.
+function makeText(seed, length) {
+  let x = seed;
+  let text = "";
+  while (text.length < length) {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    text += String.fromCharCode(97 + (x % 26));
+  }
+  return text;
+}
+
+// Enough rows for interior pages above interior pages, with some bodies spilling onto
+// several overflow pages, in both the table and the index on body.
+function makeRows() {
+  const rows = [];
+  for (let i = 0; i < 3000; i++) {
+    const long = i % 100 === 7;
+    rows.push([
+      1700000000000 + ((i * 7919) % 3000) * 1000,
+      `name-${i % 13}`,
+      i % 2 ? -i * 1000003 : i,
+      i / 3,
+      makeText(i + 1, long ? 20000 + i : 300 + (i % 120)),
+    ]);
+  }
+  rows.push([-5, "negative", -1, 0.5, "a row with a negative id"]);
+  return rows;
+}
+
+function sqlite(file, sql, ...options) {
+  const res = spawnSync("sqlite3", [...options, file, sql], { encoding: "utf8", maxBuffer: 64 << 20 });
+  assert.equal(res.status, 0, res.stderr);
+  return res.stdout.trim();
+}
+
+// Levels of a b-tree, following the leftmost child down to a leaf.
+function treeDepth(buf, pageNo) {
+  const base = (pageNo - 1) * 4096;
+  const type = buf[base];
+  if (type !== 0x05 && type !== 0x02) return 1;
+  const cell = base + buf.readUInt16BE(base + 12);
+  return 1 + treeDepth(buf, buf.readUInt32BE(cell));
+}
+
+let dir;
+let rows;
+let buf;
+let dbPath;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-sqlite-"));
+  rows = makeRows();
+  buf = writeSqliteDb(SCHEMA, { items: rows });
+  dbPath = path.join(dir, "collection.anki2");
+  fs.writeFileSync(dbPath, buf);
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("rows read back as written, in rowid order and across overflow pages", () => {
+  const db = openSqlite(buf, dbPath);
+  const expected = rows
+    .map(([id, name, n, score, body]) => ({ id, name, n, score, body }))
+    .sort((a, b) => a.id - b.id);
+
+  assert.deepEqual(sqliteRows(db, "items"), expected);
+  assert.deepEqual(sqliteRows(db, "empty"), []);
+  assert.throws(() => sqliteRows(db, "missing"), InputError);
+});
+
+test("duplicate ids are refused", () => {
+  assert.throws(
+    () => writeSqliteDb(SCHEMA, { items: [rows[0], rows[0]] }),
+    /Duplicate id \d+ in the items table/
+  );
+});
+
+test("sqlite3 accepts the file and its indexes", { skip }, () => {
+  assert.equal(sqlite(dbPath, "PRAGMA integrity_check"), "ok");
+
+  const roots = Object.fromEntries(
+    sqlite(dbPath, "SELECT name, rootpage FROM sqlite_master")
+      .split("\n")
+      .map((line) => line.split("|"))
+      .map(([name, root]) => [name, Number(root)])
+  );
+  assert.ok(treeDepth(buf, roots.items) >= 3, "table has several interior levels");
+  assert.ok(treeDepth(buf, roots.ix_items_body) >= 3, "index has several interior levels");
+
+  const byBody = sqlite(dbPath, "SELECT id FROM items INDEXED BY ix_items_body ORDER BY body");
+  const expectedByBody = [...rows].sort((a, b) => (a[4] < b[4] ? -1 : 1)).map((r) => r[0]);
+  assert.deepEqual(byBody.split("\n").map(Number), expectedByBody);
+
+  const byName = sqlite(
+    dbPath,
+    "SELECT n FROM items INDEXED BY ix_items_name_n WHERE name = 'name-5' ORDER BY n"
+  );
+  const expectedByName = rows
+    .filter((r) => r[1] === "name-5")
+    .map((r) => r[2])
+    .sort((a, b) => a - b);
+  assert.deepEqual(byName.split("\n").map(Number), expectedByName);
+
+  const totalLength = rows.reduce((sum, r) => sum + r[4].length, 0);
+  assert.equal(sqlite(dbPath, "SELECT sum(length(body)) FROM items"), String(totalLength));
+});
+
+for (const pageSize of [1024, 4096, 65536]) {
+  test(`databases written by sqlite3 read back (page size ${pageSize})`, { skip }, () => {
+    const file = path.join(dir, `sqlite3-${pageSize}.db`);
+    // Deleted rows leave a freelist behind, as in a collection Anki has been using.
+    sqlite(
+      file,
+      `PRAGMA page_size = ${pageSize};
+      CREATE TABLE items (id integer primary key, name text, n integer, score real, body blob);
+      CREATE INDEX ix_items_name ON items (name);
+      WITH RECURSIVE c(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM c WHERE i < 3000)
+      INSERT INTO items SELECT i * 1000003, 'név-' || (i % 13), i - 1500, i / 4.0,
+        CASE WHEN i % 100 = 7 THEN hex(randomblob(10000 + i)) ELSE hex(randomblob(150)) END
+      FROM c;
+      INSERT INTO items VALUES (-5, NULL, 9007199254740991, -0.5, x'00ff');
+      DELETE FROM items WHERE id % 7 = 0;`
+    );
+    const expected = JSON.parse(
+      sqlite(file, "SELECT id, name, n, score, typeof(body) AS t, body FROM items", "-json")
+    );
+
+    const rows = sqliteRows(openSqlite(fs.readFileSync(file), file), "items");
+
+    assert.equal(rows.length, expected.length);
+    rows.forEach((row, i) => {
+      const want = expected[i];
+      assert.deepEqual(
+        { id: row.id, name: row.name, n: row.n, score: row.score },
+        { id: want.id, name: want.name, n: want.n, score: want.score }
+      );
+      if (want.t === "blob") assert.ok(Buffer.isBuffer(row.body));
+      else assert.equal(row.body, want.body);
+    });
+  });
+}
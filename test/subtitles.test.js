@@ -0,0 +1,78 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { exportSubs, parseSubtitles } = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+const words = [
+  { w: "Allora", start: 0.0, end: 0.4 },
+  { w: "eh", start: 0.4, end: 0.7 },
+  { w: "Tom", start: 0.7, end: 1.0 },
+  { w: "&", start: 1.0, end: 1.1 },
+  { w: "Jerry", start: 1.1, end: 1.5 },
+  { w: "<3.", start: 1.5, end: 2.0 },
+];
+
+const segments = [
+  {
+    id: "seg_00001",
+    start: 0,
+    end: 2,
+    text: "Allora Tom & Jerry <3.",
+    raw_text: "Allora eh Tom & Jerry <3.",
+    word_indices: [0, 1, 2, 3, 4, 5],
+  },
+];
+
+let dir;
+
+quietLogs();
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-subs-"));
+  fs.writeFileSync(path.join(dir, "words.json"), JSON.stringify({ language: "it", words }));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function exportCues(segs) {
+  fs.writeFileSync(path.join(dir, "segments.json"), JSON.stringify(segs));
+  await exportSubs(path.join(dir, "segments.json"), path.join(dir, "subs"), {
+    formats: "srt,vtt",
+    words: path.join(dir, "words.json"),
+  });
+  return {
+    srt: fs.readFileSync(path.join(dir, "subs.srt"), "utf8"),
+    vtt: fs.readFileSync(path.join(dir, "subs.vtt"), "utf8"),
+  };
+}
+
+test("SRT and VTT show the same display text, fillers stripped", async () => {
+  const { srt, vtt } = await exportCues(segments);
+  assert.match(srt, /\nAllora Tom & Jerry <3\.\n/);
+  assert.equal(parseSubtitles(vtt)[0].text, parseSubtitles(srt)[0].text);
+  assert.doesNotMatch(vtt, /\beh\b/);
+});
+
+test("VTT cue text is escaped and timed per word", async () => {
+  const { vtt } = await exportCues(segments);
+  const cue = vtt.split("\n")[3];
+  assert.equal(
+    cue,
+    "Allora <00:00:00.700>Tom &amp; <00:00:01.100>Jerry <00:00:01.500>&lt;3."
+  );
+});
+
+test("edited text that no longer matches its words is written untimed", async () => {
+  const edited = [{ ...segments[0], text: "Tom and Jerry > all." }];
+  const { srt, vtt } = await exportCues(edited);
+  assert.equal(vtt.split("\n")[3], "Tom and Jerry &gt; all.");
+  assert.equal(parseSubtitles(vtt)[0].text, parseSubtitles(srt)[0].text);
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { vocab, segmentWords, readApkg } = require("../pipeline");
+const { quietLogs } = require("./helpers");
+
+const words = [
+  { w: "Oggi", start: 0.2, end: 0.5 },
+  { w: "parliamo", start: 0.5, end: 1.0 },
+  { w: "di", start: 1.0, end: 1.1 },
+  { w: "cucina.", start: 1.1, end: 1.6 },
+];
+
+let dir;
+let savedPath;
+
+quietLogs();
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-vocab-"));
+  // An ffmpeg that creates its output file, the last argument.
+  fs.writeFileSync(
+    path.join(dir, "ffmpeg"),
+    '#!/bin/sh\nfor arg; do out="$arg"; done\n: > "$out"\n',
+    { mode: 0o755 }
+  );
+  savedPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${savedPath}`;
+});
+
+after(() => {
+  process.env.PATH = savedPath;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("media names default to the input's basename, so episodes do not collide", async () => {
+  const media = [];
+  for (const name of ["ep1", "ep2"]) {
+    const epDir = path.join(dir, name);
+    const clipsDir = path.join(epDir, "clips");
+    fs.mkdirSync(clipsDir, { recursive: true });
+    const wordsJson = path.join(epDir, "words.json");
+    const segmentsJson = path.join(epDir, "segments.json");
+    const segments = segmentWords({ language: "it", words }, {});
+    fs.writeFileSync(wordsJson, JSON.stringify({ language: "it", words }));
+    fs.writeFileSync(segmentsJson, JSON.stringify(segments));
+    for (const seg of segments) fs.writeFileSync(path.join(clipsDir, `${seg.id}.mp3`), seg.id);
+
+    const apkg = path.join(epDir, "vocab.apkg");
+    await vocab(wordsJson, segmentsJson, path.join(dir, `${name}.mp3`), clipsDir, apkg);
+    media.push(Object.values(JSON.parse(readApkg(apkg).media)).sort());
+  }
+
+  assert.deepEqual(media[0], [
+    "ep1_seg_00001.mp3",
+    "ep1_word_000000.mp3",
+    "ep1_word_000001.mp3",
+    "ep1_word_000003.mp3",
+  ]);
+  assert.ok(media[1].every((name) => name.startsWith("ep2_")));
+});
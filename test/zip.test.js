@@ -0,0 +1,108 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, before, after } = require("node:test");
+
+const { createZipWriter, readZipEntries, readZipEntry } = require("../lib/zip");
+const { writeSqliteDb, sqliteRows } = require("../lib/sqlite");
+const { readApkg } = require("../pipeline");
+
+const hasTool = (cmd, args) => !spawnSync(cmd, args, { stdio: "ignore" }).error;
+const skipUnzip = hasTool("unzip", ["-v"]) ? false : "needs unzip";
+const skipZip = hasTool("zip", ["-v"]) ? false : "needs zip";
+
+function readAll(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const entries = readZipEntries(fd, file);
+    return new Map([...entries].map(([name, entry]) => [name, readZipEntry(fd, entry, file)]));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+let dir;
+let clip;
+let clipData;
+let collection;
+let archive;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "w2a-zip-"));
+  clip = path.join(dir, "clip.mp3");
+  // Larger than one copy chunk, so stored files are written in pieces.
+  clipData = Buffer.alloc((1 << 20) + 12345);
+  for (let i = 0; i < clipData.length; i++) clipData[i] = (i * 2654435761) >>> 24;
+  fs.writeFileSync(clip, clipData);
+  const schema = [{ type: "table", name: "t", sql: "CREATE TABLE t (a text)" }];
+  collection = writeSqliteDb(schema, { t: [["ciao"]] });
+
+  archive = path.join(dir, "deck.apkg");
+  const zip = createZipWriter(archive);
+  zip.addBuffer("collection.anki2", collection);
+  zip.addBuffer("media", Buffer.from(JSON.stringify({ 0: "città.mp3" })));
+  zip.addFile("0", clip);
+  zip.close();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("entries read back as written, deflated buffers and stored files", () => {
+  const entries = readAll(archive);
+
+  assert.deepEqual([...entries.keys()], ["collection.anki2", "media", "0"]);
+  assert.ok(entries.get("collection.anki2").equals(collection));
+  assert.deepEqual(JSON.parse(entries.get("media")), { 0: "città.mp3" });
+  assert.ok(entries.get("0").equals(clipData));
+});
+
+test("unzip accepts the archive and extracts the same bytes", { skip: skipUnzip }, () => {
+  const check = spawnSync("unzip", ["-tq", archive], { encoding: "utf8" });
+  assert.equal(check.status, 0, check.stdout + check.stderr);
+
+  for (const [name, expected] of [
+    ["collection.anki2", collection],
+    ["0", clipData],
+  ]) {
+    const res = spawnSync("unzip", ["-p", archive, name], { maxBuffer: 16 << 20 });
+    assert.equal(res.status, 0);
+    assert.ok(res.stdout.equals(expected), name);
+  }
+});
+
+test("archives written by zip read back, stored and deflated", { skip: skipZip }, () => {
+  const src = path.join(dir, "src");
+  fs.mkdirSync(src);
+  fs.writeFileSync(path.join(src, "collection.anki2"), collection);
+  fs.writeFileSync(path.join(src, "media"), JSON.stringify({ 0: "a.mp3" }));
+  fs.copyFileSync(clip, path.join(src, "0"));
+  const made = path.join(dir, "zip-made.apkg");
+  // -0 stores the clip; the others are deflated. zip also adds extra fields to each header.
+  for (const args of [["-q", made, "collection.anki2", "media"], ["-q", "-0", made, "0"]]) {
+    const res = spawnSync("zip", args, { cwd: src, encoding: "utf8" });
+    assert.equal(res.status, 0, res.stderr);
+  }
+
+  const entries = readAll(made);
+  assert.ok(entries.get("collection.anki2").equals(collection));
+  assert.ok(entries.get("0").equals(clipData));
+
+  const apkg = readApkg(made);
+  assert.deepEqual(JSON.parse(apkg.media), { 0: "a.mp3" });
+  assert.deepEqual(sqliteRows(apkg.db, "t"), [{ a: "ciao" }]);
+});
+
+test("a writer past the zip limits fails instead of writing a broken archive", () => {
+  const zip = createZipWriter(path.join(dir, "many.zip"));
+  const empty = Buffer.alloc(0);
+  assert.throws(() => {
+    for (let i = 0; i < 0xffff; i++) zip.addBuffer(String(i), empty);
+  }, /too large for a zip archive without zip64/);
+  zip.abort();
+});